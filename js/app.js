@@ -53,13 +53,20 @@
   function setupVisibilityHandling() {
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
-        // Page is hidden - audio continues but we note the state
+        // Page is hidden - automation is scheduled on the audio clock, so the
+        // session keeps following its profile and ends on time.
+        // A hidden page may be closed without notice, so keep the exposure so far
+        AudioEngine.saveExposure();
         console.log('Page hidden, audio continues in background');
       } else {
         // Page is visible again
         console.log('Page visible');
       }
     });
+
+    window.addEventListener('pagehide', () => {
+      AudioEngine.saveExposure();
+    });
   }
 
   /**
@@ -102,6 +109,72 @@
     }
   }
 
+  /**
+   * Publish the session to the OS media controls (lock screen, headset buttons, media keys)
+   */
+  function setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const { mediaSession } = navigator;
+    const { SESSION_STATES } = AudioEngine;
+    const artwork = [72, 96, 128, 144, 152, 192, 384, 512].map(size => ({
+      src: `icons/icon-${size}.svg`,
+      sizes: `${size}x${size}`,
+      type: 'image/svg+xml'
+    }));
+
+    const actions = {
+      play: () => AudioEngine.play(),
+      pause: () => AudioEngine.pause(),
+      stop: () => AudioEngine.stop(),
+      seekto: (details) => AudioEngine.seek(details.seekTime)
+    };
+
+    Object.entries(actions).forEach(([action, handler]) => {
+      try {
+        mediaSession.setActionHandler(action, handler);
+      } catch (e) {
+        // Older browsers throw for actions they do not know
+        console.log(`Media session action "${action}" is not supported`);
+      }
+    });
+
+    // Metadata and position follow every state change, seek and playlist item
+    const update = () => {
+      const state = AudioEngine.getState();
+      const profile = AudioEngine.getCurrentProfile();
+
+      if (state === SESSION_STATES.IDLE || !profile) {
+        mediaSession.metadata = null;
+        mediaSession.playbackState = 'none';
+        mediaSession.setPositionState?.();
+        return;
+      }
+
+      const playlist = AudioEngine.getPlaylist();
+      mediaSession.metadata = new MediaMetadata({
+        title: profile.name,
+        artist: 'Google Focus Lab',
+        album: playlist ? `${playlist.name}・${playlist.index + 1}/${playlist.count}` : '',
+        artwork
+      });
+      mediaSession.playbackState = state === SESSION_STATES.PLAYING ? 'playing' : 'paused';
+
+      const { elapsed, remaining } = AudioEngine.getProgress();
+      const duration = elapsed + remaining;
+      if (duration > 0) {
+        mediaSession.setPositionState?.({
+          duration,
+          playbackRate: 1,
+          position: Math.min(elapsed, duration)
+        });
+      }
+    };
+
+    window.addEventListener('sessionStateChange', update);
+    window.addEventListener('playlistItemChange', update);
+  }
+
   /**
    * Setup touch handling for mobile
    */
@@ -162,6 +235,7 @@
     requestNotificationPermission();
     setupVisibilityHandling();
     setupWakeLock();
+    setupMediaSession();
     setupTouchHandling();
     setupInstallPrompt();
 
@@ -1,10 +1,27 @@
 /**
  * Google Focus Lab - Audio Engine Module
  * Implements the Web Audio API sound generation
- * 
- * Audio Graph:
- * OscillatorNode → BiquadFilterNode (Texture) → GainNode (Density) 
- * → StereoPannerNode → GainNode (Silence Gate) → GainNode (Master) → Destination
+ *
+ * Live Audio Graph:
+ * ProfileVoice (see profile-voice.js) → GainNode (Crossfade) ─┐
+ * ProfileVoice (next playlist item) → GainNode (Crossfade) ───┴→ GainNode (Master) → DynamicsCompressorNode (Limiter) → Destination
+ *
+ * In a playlist the next item's voice starts under the end of the current
+ * item and the two are crossfaded on the audio clock; the voices swap roles
+ * when the current item ends.
+ *
+ * Parameter values come from ProfileAutomation, so live playback and
+ * offline rendering evaluate a profile the same way.
+ *
+ * An open-ended profile plays until it is stopped, its curves looping or
+ * holding their last values; it is rescheduled a pass at a time.
+ *
+ * Each stretch played at one volume is added to the day's sound exposure
+ * (see ExposureTracker) when it ends.
+ *
+ * Where the browser supports AudioContext.setSinkId the destination can be
+ * routed to a chosen output device. If that device disappears the context
+ * follows the system default until it comes back.
  */
 
 const AudioEngine = (function() {
@@ -12,19 +29,51 @@ const AudioEngine = (function() {
 
   // Audio context and nodes
   let audioContext = null;
-  let oscillator = null;
-  let filter = null;
-  let densityGain = null;
-  let panner = null;
-  let silenceGate = null;
   let masterGain = null;
+  let limiter = null;
+  let analyser = null;
+  let voice = null;
+  let voiceGain = null;
+  let nextVoice = null;
+  let nextVoiceGain = null;
+
+  // Session states
+  const SESSION_STATES = {
+    IDLE: 'idle',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    COMPLETED: 'completed'
+  };
 
   // State
-  let isPlaying = false;
+  let sessionState = SESSION_STATES.IDLE;
   let currentProfile = null;
-  let sessionStartTime = 0;
-  let sessionDuration = 0;
-  let animationFrameId = null;
+  let sessionStartTime = 0; // Audio clock time at which elapsed === 0
+  let pausedElapsed = 0; // Elapsed seconds held while paused
+  let sessionDuration = 0; // Infinity for an open-ended profile
+  let passTimer = null; // Silent source that ends where an open-ended session needs scheduling again
+
+  // Playlist state
+  let playlist = null; // Playlist session (see DataModel.createPlaylistSession) while one is loaded
+  let playlistIndex = 0;
+  let nextStartTime = null; // Audio clock time at which the next item's elapsed === 0
+
+  // Crossfade curve resolution
+  const CROSSFADE_POINTS_PER_SECOND = 10;
+
+  // Volume state
+  let masterVolume = 0.7;
+  let volumeCeiling = 1;
+  let exposureCapped = false;
+  let exposureSegment = null; // { start (elapsed seconds), volume } while playing
+
+  // Output device state
+  const DEFAULT_OUTPUT_IDS = ['default', 'communications']; // Chromium's aliases for system devices
+  let preferredOutputId = ''; // Chosen device ('' = the system default)
+  let activeOutputId = ''; // Device the context plays to ('' while the chosen one is missing)
+  let outputDevices = []; // Last enumerated audio outputs
+  let outputRouted = false; // The context has been routed once
+  let listeningForDevices = false;
 
   // Pro mode state
   let proModeEnabled = false;
@@ -35,26 +84,6 @@ const AudioEngine = (function() {
     modulationOffset: 0
   };
 
-  // Frequency mapping (perceptual to Hz)
-  // 0.0 = Low (around 80Hz), 1.0 = High (around 400Hz)
-  // These are kept internal - UI shows only perceptual labels
-  const FREQ_MIN = 80;
-  const FREQ_MAX = 400;
-
-  // Filter mapping for texture
-  // 0.0 = Smooth (low Q, high frequency), 1.0 = Rough (high Q, low frequency)
-  const FILTER_FREQ_MIN = 200;
-  const FILTER_FREQ_MAX = 2000;
-  const FILTER_Q_MIN = 0.5;
-  const FILTER_Q_MAX = 8;
-
-  // Modulation parameters
-  const MODULATION_TYPES = {
-    stable: { lfoFreq: 0, lfoDepth: 0 },
-    gentle: { lfoFreq: 0.1, lfoDepth: 0.02 },
-    irregular: { lfoFreq: 0.3, lfoDepth: 0.05 }
-  };
-
   /**
    * Initialize the audio context
    * Must be called after user interaction
@@ -62,7 +91,7 @@ const AudioEngine = (function() {
   function init() {
     if (audioContext) return Promise.resolve();
 
-    return new Promise((resolve, reject) => {
+    const started = new Promise((resolve, reject) => {
       try {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
         
@@ -80,6 +109,15 @@ const AudioEngine = (function() {
         reject(e);
       }
     });
+
+    // Route to the chosen output device before anything plays, and follow devices being plugged in or out
+    if (!isOutputSelectionSupported()) return started;
+
+    if (!listeningForDevices) {
+      navigator.mediaDevices.addEventListener('devicechange', refreshOutputDevices);
+      listeningForDevices = true;
+    }
+    return started.then(() => refreshOutputDevices());
   }
 
   /**
@@ -88,319 +126,778 @@ const AudioEngine = (function() {
   function createAudioGraph() {
     // Master gain (volume control)
     masterGain = audioContext.createGain();
-    masterGain.gain.value = 0.7;
-    masterGain.connect(audioContext.destination);
+    masterGain.gain.value = getEffectiveVolume();
+
+    // Safety limiter
+    limiter = ProfileVoice.createLimiter(audioContext);
+    masterGain.connect(limiter);
+    limiter.connect(audioContext.destination);
+
+    // Visualizer tap, off the output path
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.85;
+    masterGain.connect(analyser);
+
+    // Two voices, so playlist items can overlap while crossfading
+    voiceGain = audioContext.createGain();
+    voiceGain.connect(masterGain);
+    voice = ProfileVoice.create(audioContext, voiceGain);
+
+    nextVoiceGain = audioContext.createGain();
+    nextVoiceGain.gain.value = 0;
+    nextVoiceGain.connect(masterGain);
+    nextVoice = ProfileVoice.create(audioContext, nextVoiceGain);
+  }
 
-    // Silence gate (for silence blocks)
-    silenceGate = audioContext.createGain();
-    silenceGate.gain.value = 1;
-    silenceGate.connect(masterGain);
+  /**
+   * Start the voice at the current session position
+   */
+  function startSources() {
+    holdGain(voiceGain.gain, 1);
+    voice.start(getVoiceProfile());
+    voice.schedule(getProgress().elapsed, audioContext.currentTime, proModeAdjustments);
+  }
 
-    // Stereo panner (subtle movement)
-    panner = audioContext.createStereoPanner();
-    panner.pan.value = 0;
-    panner.connect(silenceGate);
+  /**
+   * Stop and release the sound sources
+   * @param {boolean} fade - Fade out briefly instead of cutting off
+   */
+  function stopSources(fade = false) {
+    if (voice) {
+      voice.stop(fade);
+      nextVoice.stop(fade);
+    }
+    nextStartTime = null;
+    clearPassTimer();
+  }
 
-    // Density gain (texture intensity)
-    densityGain = audioContext.createGain();
-    densityGain.gain.value = 1;
-    densityGain.connect(panner);
+  /**
+   * Get how long a session of a profile lasts
+   * @param {Object} profile - Sound profile
+   * @returns {number} Duration in seconds (Infinity when it plays until stopped)
+   */
+  function getSessionDuration(profile) {
+    return ProfileAutomation.isOpenEnded(profile) ? Infinity : profile.duration;
+  }
 
-    // Biquad filter (texture/roughness)
-    filter = audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = 1000;
-    filter.Q.value = 1;
-    filter.connect(densityGain);
+  /**
+   * Get the profile the voice plays for the loaded profile or a playlist item
+   * Where playlist items join, their own fade-in and fade-out give way to the crossfade
+   * @param {number} index - Playlist item index
+   * @returns {Object} Sound profile
+   */
+  function getVoiceProfile(index = playlistIndex) {
+    if (!playlist) return currentProfile;
+
+    const profile = playlist.profiles[index];
+    return {
+      ...profile,
+      envelope: {
+        ...profile.envelope,
+        fadeIn: index > 0 ? 0 : profile.envelope.fadeIn,
+        fadeOut: index < playlist.profiles.length - 1 ? 0 : profile.envelope.fadeOut
+      }
+    };
   }
 
   /**
-   * Start the oscillator
+   * Start the next playlist item under the end of the current one and crossfade them
+   * @param {number} end - Context time the current item ends at
    */
-  function startOscillator() {
-    if (oscillator) {
-      oscillator.stop();
-      oscillator.disconnect();
+  function scheduleNextItem(end) {
+    const next = playlist?.profiles[playlistIndex + 1];
+
+    if (!next) {
+      nextVoice.stop();
+      nextStartTime = null;
+      holdGain(voiceGain.gain, 1);
+      return;
     }
 
-    oscillator = audioContext.createOscillator();
-    oscillator.type = 'sine';
-    oscillator.frequency.value = mapToFrequency(0.5);
-    oscillator.connect(filter);
-    oscillator.start();
+    const crossfade = DataModel.getCrossfadeDuration(playlist.crossfade, currentProfile.duration, next.duration);
+    const start = end - crossfade;
+    scheduleCrossfade(voiceGain.gain, start, end, false);
+
+    // Leave the next item running unless its start has moved (after a seek or an edit)
+    if (nextVoice.isActive() && nextStartTime !== null && Math.abs(start - nextStartTime) < 0.01) return;
+
+    const from = Math.max(audioContext.currentTime, start);
+    nextStartTime = start;
+    nextVoice.start(getVoiceProfile(playlistIndex + 1), from);
+    nextVoice.schedule(from - start, from);
+    scheduleCrossfade(nextVoiceGain.gain, start, end, true);
   }
 
   /**
-   * Map perceptual value (0-1) to frequency (Hz)
-   * @param {number} value - Perceptual value (0-1)
-   * @returns {number} Frequency in Hz
+   * Schedule an equal-power crossfade on a voice gain
+   * @param {AudioParam} param - Voice gain
+   * @param {number} start - Context time the crossfade starts at
+   * @param {number} end - Context time it ends at
+   * @param {boolean} fadeIn - Fade in rather than out
    */
-  function mapToFrequency(value) {
-    // Exponential mapping for perceptually linear response
-    const normalizedValue = Math.max(0, Math.min(1, value));
-    return FREQ_MIN * Math.pow(FREQ_MAX / FREQ_MIN, normalizedValue);
+  function scheduleCrossfade(param, start, end, fadeIn) {
+    const now = audioContext.currentTime;
+    const from = Math.max(now, start);
+    const gainAt = time => {
+      const position = end > start
+        ? Math.max(0, Math.min(1, (time - start) / (end - start)))
+        : (time >= end ? 1 : 0);
+      return fadeIn ? Math.sin(position * Math.PI / 2) : Math.cos(position * Math.PI / 2);
+    };
+
+    param.cancelScheduledValues(now);
+    if (from > now) {
+      param.setValueAtTime(gainAt(now), now);
+    }
+
+    if (end <= from) {
+      param.setValueAtTime(gainAt(end), from);
+      return;
+    }
+
+    const count = Math.max(2, Math.ceil((end - from) * CROSSFADE_POINTS_PER_SECOND));
+    const curve = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      curve[i] = gainAt(from + (end - from) * i / (count - 1));
+    }
+    param.setValueCurveAtTime(curve, from, end - from);
   }
 
   /**
-   * Map texture value (0-1) to filter parameters
-   * @param {number} value - Texture value (0 = smooth, 1 = rough)
+   * Hold a voice gain at a value from now on
+   * @param {AudioParam} param - Voice gain
+   * @param {number} value - Gain
    */
-  function applyTexture(value) {
-    if (!filter) return;
+  function holdGain(param, value) {
+    param.cancelScheduledValues(audioContext.currentTime);
+    param.setValueAtTime(value, audioContext.currentTime);
+  }
 
-    const normalizedValue = Math.max(0, Math.min(1, value));
-    
-    // Inverse relationship - higher texture value = lower filter frequency
-    const filterFreq = FILTER_FREQ_MAX - (normalizedValue * (FILTER_FREQ_MAX - FILTER_FREQ_MIN));
-    const filterQ = FILTER_Q_MIN + (normalizedValue * (FILTER_Q_MAX - FILTER_Q_MIN));
+  /**
+   * Schedule the profile's automation, and the session end, from the current position
+   * Everything runs on the audio clock, so the session keeps following its
+   * curves and ends on time while the page is hidden. An open-ended session
+   * has no end; it is scheduled again where its current pass runs out.
+   */
+  function scheduleAutomation() {
+    const { elapsed, remaining } = getProgress();
+    const now = audioContext.currentTime;
+    const openEnded = sessionDuration === Infinity;
+
+    voice.setProfile(getVoiceProfile());
+
+    // The end is set first, so everything scheduled runs up to it
+    // A session that has just become open-ended has its end taken away
+    const playing = sessionState === SESSION_STATES.PLAYING;
+    if (playing) {
+      voice.stopAt(openEnded ? null : now + remaining, onSessionComplete);
+    }
 
-    filter.frequency.setTargetAtTime(filterFreq, audioContext.currentTime, 0.1);
-    filter.Q.setTargetAtTime(filterQ, audioContext.currentTime, 0.1);
+    const length = voice.schedule(elapsed, now, proModeAdjustments);
+    clearPassTimer();
 
-    // Adjust density gain based on texture
-    const density = 0.7 + (normalizedValue * 0.3);
-    densityGain.gain.setTargetAtTime(density, audioContext.currentTime, 0.1);
+    if (!playing) return;
+
+    if (openEnded) {
+      startPassTimer(now + length);
+    } else {
+      scheduleNextItem(now + remaining);
+    }
+  }
+
+  /**
+   * Schedule the automation again once a context time is reached
+   * A silent source ends at that time, so this works while the page is hidden
+   * @param {number} time - Context time
+   */
+  function startPassTimer(time) {
+    passTimer = audioContext.createConstantSource();
+    passTimer.offset.value = 0;
+    passTimer.connect(masterGain);
+    passTimer.onended = () => {
+      clearPassTimer();
+      if (sessionState === SESSION_STATES.PLAYING) {
+        scheduleAutomation();
+      }
+    };
+    passTimer.start();
+    passTimer.stop(time);
+  }
+
+  function clearPassTimer() {
+    if (!passTimer) return;
+
+    passTimer.onended = null;
+    passTimer.stop();
+    passTimer.disconnect();
+    passTimer = null;
   }
 
   /**
    * Set master volume
+   * The volume ceiling and the exposure cap still apply on top
    * @param {number} volume - Volume (0-1)
    */
   function setMasterVolume(volume) {
-    if (!masterGain) return;
-    masterGain.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)), audioContext.currentTime, 0.1);
+    masterVolume = Math.max(0, Math.min(1, volume));
+    applyVolume();
   }
 
   /**
-   * Load a profile and prepare for playback
-   * @param {Object} profile - Sound profile
+   * Set the highest master volume allowed
+   * @param {number} ceiling - Volume ceiling (0-1)
    */
-  function loadProfile(profile) {
-    currentProfile = profile;
-    sessionDuration = profile.duration;
+  function setVolumeCeiling(ceiling) {
+    volumeCeiling = Math.max(0, Math.min(1, ceiling));
+    applyVolume();
+  }
 
-    // Reset pro mode adjustments
-    proModeAdjustments = {
-      frequencyOffset: 0,
-      textureOffset: 0,
-      modulationOffset: 0
-    };
-    interactionCount = 0;
+  /**
+   * Lower the volume because the daily exposure allowance is used up, or lift that cap
+   * @param {boolean} capped - Cap the volume
+   */
+  function setExposureCap(capped) {
+    if (capped === exposureCapped) return;
+    exposureCapped = capped;
+    applyVolume();
   }
 
   /**
-   * Start playback
-   * @returns {Promise}
+   * Get the volume the master gain actually plays at
+   * @returns {number} Volume (0-1)
    */
-  async function play() {
-    if (isPlaying) return;
-    if (!currentProfile) {
-      console.warn('No profile loaded');
-      return;
+  function getEffectiveVolume() {
+    const cap = exposureCapped ? ExposureTracker.CAPPED_VOLUME : 1;
+    return Math.min(masterVolume, volumeCeiling, cap);
+  }
+
+  /**
+   * Apply the effective volume, starting a new exposure stretch if it changed mid-session
+   */
+  function applyVolume() {
+    if (exposureSegment && exposureSegment.volume !== getEffectiveVolume()) {
+      closeExposureSegment();
+      openExposureSegment();
     }
 
-    await init();
-    startOscillator();
+    if (!masterGain) return;
+    masterGain.gain.setTargetAtTime(getEffectiveVolume(), audioContext.currentTime, 0.1);
+  }
+
+  /**
+   * Start an exposure stretch at the current position
+   */
+  function openExposureSegment() {
+    exposureSegment = {
+      start: getProgress().elapsed,
+      volume: getEffectiveVolume()
+    };
+  }
 
-    isPlaying = true;
-    sessionStartTime = audioContext.currentTime;
+  /**
+   * End the current exposure stretch and add it to the day's exposure
+   * Must be called while the session still reports the played position
+   */
+  function closeExposureSegment() {
+    if (!exposureSegment) return;
 
-    // Start the update loop
-    updateAudioParameters();
+    const end = Math.min(sessionDuration, getProgress().elapsed);
+    DataModel.addExposure(ExposureTracker.getDose(currentProfile, exposureSegment.start, end, exposureSegment.volume));
+    exposureSegment = null;
+
+    window.dispatchEvent(new CustomEvent('exposureChange', {
+      detail: { dose: getDailyExposure() }
+    }));
   }
 
   /**
-   * Pause playback
+   * Add the stretch played so far to the day's exposure and carry on tracking
+   * Used before the page may be closed
    */
-  function pause() {
-    if (!isPlaying) return;
+  function saveExposure() {
+    if (!exposureSegment) return;
+    closeExposureSegment();
+    openExposureSegment();
+  }
 
-    isPlaying = false;
+  /**
+   * Get today's sound exposure, including the stretch playing now
+   * @returns {number} Exposure dose (1 = the daily allowance)
+   */
+  function getDailyExposure() {
+    let dose = DataModel.getExposure();
 
-    if (oscillator) {
-      oscillator.stop();
-      oscillator.disconnect();
-      oscillator = null;
+    if (exposureSegment) {
+      const end = Math.min(sessionDuration, getProgress().elapsed);
+      dose += ExposureTracker.getDose(currentProfile, exposureSegment.start, end, exposureSegment.volume);
     }
 
-    if (animationFrameId) {
-      cancelAnimationFrame(animationFrameId);
-      animationFrameId = null;
-    }
+    return dose;
   }
 
   /**
-   * Stop playback completely
+   * Check whether the output device can be chosen in this browser
+   * @returns {boolean} AudioContext.setSinkId is available
    */
-  function stop() {
-    pause();
-    sessionStartTime = 0;
+  function isOutputSelectionSupported() {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    return !!Context && 'setSinkId' in Context.prototype && !!navigator.mediaDevices?.enumerateDevices;
   }
 
   /**
-   * Get current playback progress
-   * @returns {Object} Progress info
+   * List the audio output devices
+   * Labels are empty until the page has been given media permission, so they may need a fallback.
+   * @returns {Promise<Array>} Devices as { deviceId, label, groupId }, without the system aliases
    */
-  function getProgress() {
-    if (!isPlaying || !audioContext) {
-      return { elapsed: 0, remaining: sessionDuration, progress: 0 };
+  async function getOutputDevices() {
+    await enumerateOutputDevices();
+    return outputDevices
+      .filter(device => !DEFAULT_OUTPUT_IDS.includes(device.deviceId))
+      .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
+  }
+
+  /**
+   * Read the current audio outputs into outputDevices
+   */
+  async function enumerateOutputDevices() {
+    if (!isOutputSelectionSupported()) {
+      outputDevices = [];
+      return;
     }
 
-    const elapsed = audioContext.currentTime - sessionStartTime;
-    const remaining = Math.max(0, sessionDuration - elapsed);
-    const progress = Math.min(1, elapsed / sessionDuration);
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      outputDevices = devices.filter(device => device.kind === 'audiooutput' && device.deviceId);
+    } catch (e) {
+      console.error('Error listing output devices:', e);
+      outputDevices = [];
+    }
+  }
 
-    return { elapsed, remaining, progress };
+  /**
+   * Choose the output device
+   * A device that is not connected is remembered and used once it appears.
+   * @param {string} deviceId - Device ID ('' for the system default)
+   * @returns {Promise<void>} Resolves once the context has been routed
+   */
+  async function setOutputDevice(deviceId) {
+    preferredOutputId = deviceId || '';
+    if (!audioContext || !isOutputSelectionSupported()) return;
+
+    await enumerateOutputDevices();
+    await routeOutput();
   }
 
   /**
-   * Update audio parameters based on current time and profile
+   * Get the device that volume settings belong to
+   * The system default resolves to the physical device behind it where the browser says which one.
+   * @returns {string} Device ID, or 'default' when it cannot be told
    */
-  function updateAudioParameters() {
-    if (!isPlaying || !currentProfile) return;
+  function getOutputDeviceKey() {
+    // Before the context exists, the chosen device is where audio will go if it is connected
+    const outputId = audioContext || !outputDevices.some(device => device.deviceId === preferredOutputId)
+      ? activeOutputId
+      : preferredOutputId;
+    if (outputId) return outputId;
+
+    const alias = outputDevices.find(device => device.deviceId === 'default');
+    const device = alias && outputDevices.find(other =>
+      other.groupId === alias.groupId && !DEFAULT_OUTPUT_IDS.includes(other.deviceId)
+    );
+    return device ? device.deviceId : 'default';
+  }
 
-    const { progress, remaining } = getProgress();
+  /**
+   * Get the label of the device audio plays to
+   * @returns {string} Device label ('' when unknown)
+   */
+  function getOutputDeviceLabel() {
+    const key = getOutputDeviceKey();
+    const device = outputDevices.find(other => other.deviceId === key);
+    return device ? device.label : '';
+  }
 
-    // Check if session is complete
-    if (remaining <= 0) {
-      onSessionComplete();
+  /**
+   * Point the context at the chosen device, or at the system default while it is missing
+   */
+  async function routeOutput() {
+    const available = outputDevices.some(device => device.deviceId === preferredOutputId);
+    const target = available ? preferredOutputId : '';
+    if (audioContext.sinkId === target) {
+      activeOutputId = target;
       return;
     }
 
-    // Apply base frequency curve
-    const baseFreqValue = interpolateCurve(currentProfile.layers.baseFrequency.curve, progress);
-    const adjustedFreq = baseFreqValue + proModeAdjustments.frequencyOffset;
-    if (oscillator) {
-      const targetFreq = mapToFrequency(adjustedFreq);
-      oscillator.frequency.setTargetAtTime(targetFreq, audioContext.currentTime, 0.1);
+    try {
+      await audioContext.setSinkId(target);
+      activeOutputId = target;
+    } catch (e) {
+      console.error('Error switching output device:', e);
+      if (target) {
+        await audioContext.setSinkId('').catch(() => {});
+      }
+      activeOutputId = '';
     }
+  }
 
-    // Apply texture
-    const textureValue = interpolateCurve(currentProfile.layers.texture.densityMap, progress);
-    applyTexture(textureValue + proModeAdjustments.textureOffset);
+  /**
+   * Re-read the devices after a change and reroute
+   * Dispatches outputDeviceChange when the device audio plays to has changed,
+   * and once with reason 'ready' when the context is first routed
+   */
+  async function refreshOutputDevices() {
+    if (!audioContext) return;
+
+    const previousOutputId = activeOutputId;
+    const previousKey = getOutputDeviceKey();
+
+    await enumerateOutputDevices();
+    await routeOutput();
+
+    const key = getOutputDeviceKey();
+    if (outputRouted && key === previousKey && activeOutputId === previousOutputId) return;
+
+    let reason = 'switched'; // The system default moved to another device
+    if (!outputRouted) {
+      reason = 'ready';
+      outputRouted = true;
+    } else if (previousOutputId && !activeOutputId) {
+      reason = 'lost';
+    } else if (!previousOutputId && activeOutputId) {
+      reason = 'restored';
+    }
 
-    // Apply modulation
-    applyModulation(progress);
+    window.dispatchEvent(new CustomEvent('outputDeviceChange', {
+      detail: { reason, deviceKey: key, label: getOutputDeviceLabel() }
+    }));
+  }
 
-    // Apply silence blocks
-    applySilenceBlocks(progress);
+  /**
+   * Load a profile and prepare for playback
+   * @param {Object} profile - Sound profile
+   */
+  function loadProfile(profile) {
+    // The stretch so far played the previous profile
+    const wasTracking = exposureSegment !== null;
+    closeExposureSegment();
+
+    playlist = null;
+    currentProfile = profile;
+    sessionDuration = getSessionDuration(profile);
+
+    if (voice) {
+      voice.setProfile(profile);
+    }
 
-    // Apply subtle panning for spatial interest
-    applySubtlePanning(progress);
+    window.dispatchEvent(new CustomEvent('profileChange', {
+      detail: { profile }
+    }));
 
-    // Continue update loop
-    animationFrameId = requestAnimationFrame(updateAudioParameters);
+    // Reset pro mode adjustments
+    proModeAdjustments = {
+      frequencyOffset: 0,
+      textureOffset: 0,
+      modulationOffset: 0
+    };
+    interactionCount = 0;
+
+    // Follow the new profile right away if a session is running
+    updateAutomation();
+
+    if (wasTracking) {
+      openExposureSegment();
+    }
   }
 
   /**
-   * Interpolate a value from a curve at a given progress point
-   * @param {Array} curve - Array of {time, value} points
-   * @param {number} progress - Progress (0-1)
-   * @returns {number} Interpolated value
+   * Load a playlist, ready to play from its first item
+   * @param {Object} session - Playlist session (see DataModel.createPlaylistSession)
    */
-  function interpolateCurve(curve, progress) {
-    if (!curve || curve.length === 0) return 0.5;
-    if (curve.length === 1) return curve[0].value;
+  function loadPlaylist(session) {
+    stop('replaced');
+    loadProfile(session.profiles[0]);
+    playlist = session;
+    selectPlaylistItem(0);
+  }
 
-    // Find surrounding points
-    let lower = curve[0];
-    let upper = curve[curve.length - 1];
+  /**
+   * Make a playlist item the current profile
+   * @param {number} index - Item index
+   */
+  function selectPlaylistItem(index) {
+    playlistIndex = index;
+    currentProfile = playlist.profiles[index];
+    sessionDuration = getSessionDuration(currentProfile);
 
-    for (let i = 0; i < curve.length - 1; i++) {
-      if (curve[i].time <= progress && curve[i + 1].time >= progress) {
-        lower = curve[i];
-        upper = curve[i + 1];
-        break;
+    proModeAdjustments = {
+      frequencyOffset: 0,
+      textureOffset: 0,
+      modulationOffset: 0
+    };
+    interactionCount = 0;
+
+    window.dispatchEvent(new CustomEvent('playlistItemChange', {
+      detail: {
+        playlist: getPlaylist(),
+        profile: currentProfile
       }
+    }));
+  }
+
+  /**
+   * Move on to the next playlist item, already playing under the crossfade
+   */
+  function advancePlaylist() {
+    [voice, nextVoice] = [nextVoice, voice];
+    [voiceGain, nextVoiceGain] = [nextVoiceGain, voiceGain];
+
+    sessionStartTime = nextStartTime;
+    nextStartTime = null;
+    selectPlaylistItem(playlistIndex + 1);
+
+    scheduleAutomation();
+    openExposureSegment();
+  }
+
+  /**
+   * Get the loaded playlist and the position in it
+   * @returns {Object|null} { id, name, index, count, duration }, or null without a playlist
+   */
+  function getPlaylist() {
+    if (!playlist) return null;
+
+    return {
+      id: playlist.id,
+      name: playlist.name,
+      index: playlistIndex,
+      count: playlist.profiles.length,
+      duration: playlist.duration
+    };
+  }
+
+  /**
+   * Start playback, resuming from the paused position if there is one
+   * A playlist that has finished or been stopped starts again from its first item
+   * @returns {Promise}
+   */
+  async function play() {
+    if (sessionState === SESSION_STATES.PLAYING) return;
+    if (!currentProfile) {
+      console.warn('No profile loaded');
+      return;
     }
 
-    // Linear interpolation
-    const range = upper.time - lower.time;
-    if (range === 0) return lower.value;
+    await init();
+
+    if (playlist && playlistIndex > 0 && sessionState !== SESSION_STATES.PAUSED) {
+      selectPlaylistItem(0);
+    }
 
-    const t = (progress - lower.time) / range;
-    return lower.value + (upper.value - lower.value) * t;
+    const offset = sessionState === SESSION_STATES.PAUSED ? pausedElapsed : 0;
+    voice.start(getVoiceProfile());
+    sessionStartTime = audioContext.currentTime - offset;
+    setSessionState(SESSION_STATES.PLAYING);
+    scheduleAutomation();
+    openExposureSegment();
   }
 
   /**
-   * Apply modulation effects
-   * @param {number} progress - Session progress (0-1)
+   * Pause playback, keeping the elapsed time for resume
    */
-  function applyModulation(progress) {
-    if (!currentProfile || !oscillator) return;
+  function pause() {
+    if (sessionState !== SESSION_STATES.PLAYING) return;
 
-    const modulation = currentProfile.layers.modulation;
-    const params = MODULATION_TYPES[modulation.type] || MODULATION_TYPES.stable;
-    const intensity = modulation.intensity + proModeAdjustments.modulationOffset;
+    closeExposureSegment();
+    pausedElapsed = getProgress().elapsed;
+    stopSources(true);
+    setSessionState(SESSION_STATES.PAUSED);
+  }
 
-    if (params.lfoFreq > 0) {
-      // Apply subtle frequency modulation using time
-      const time = audioContext.currentTime;
-      const lfoValue = Math.sin(time * params.lfoFreq * 2 * Math.PI);
-      const modAmount = lfoValue * params.lfoDepth * intensity * 20; // 20Hz max deviation
+  /**
+   * Stop playback completely and reset the session (a playlist goes back to its first item)
+   * Stopping is how an open-ended session ends, so it completes with the time played.
+   * @param {string} reason - 'stopped', or 'replaced' when another session takes its place
+   *   (passed on with the idle sessionStateChange)
+   */
+  function stop(reason = 'stopped') {
+    const { elapsed } = getProgress();
+    const completesOpenSession = reason === 'stopped' && sessionDuration === Infinity && elapsed > 0 &&
+      (sessionState === SESSION_STATES.PLAYING || sessionState === SESSION_STATES.PAUSED);
+
+    closeExposureSegment();
+    stopSources(true);
+
+    if (completesOpenSession) {
+      window.dispatchEvent(new CustomEvent('sessionComplete', {
+        detail: { ...getCompletionDetail(elapsed), openEnded: true }
+      }));
+    }
 
-      const baseFreqValue = interpolateCurve(currentProfile.layers.baseFrequency.curve, progress);
-      const baseFreq = mapToFrequency(baseFreqValue);
-      oscillator.frequency.setTargetAtTime(baseFreq + modAmount, audioContext.currentTime, 0.05);
+    sessionStartTime = 0;
+    pausedElapsed = 0;
+
+    if (playlist && playlistIndex > 0) {
+      selectPlaylistItem(0);
     }
+    setSessionState(SESSION_STATES.IDLE, { reason });
   }
 
   /**
-   * Apply silence blocks
-   * @param {number} progress - Session progress (0-1)
+   * Jump to a point on the loaded profile's curves
+   * A looping session stays in the pass it is playing, so its elapsed time carries on.
+   * @param {number} position - Seconds into the curves
    */
-  function applySilenceBlocks(progress) {
-    if (!currentProfile || !silenceGate) return;
+  function seekToPosition(position) {
+    if (!currentProfile) return;
+
+    if (currentProfile.ending === 'loop') {
+      const { elapsed } = getProgress();
+      seek(elapsed - ProfileAutomation.getProfilePosition(currentProfile, elapsed) + position);
+    } else {
+      seek(position);
+    }
+  }
 
-    const silenceBlocks = currentProfile.layers.silence.blocks;
-    const currentTimeSeconds = progress * sessionDuration;
-    let isSilent = false;
+  /**
+   * Jump to a position in the session
+   * A seek while idle or completed leaves the session paused at that position
+   * @param {number} seconds - Target position in seconds
+   */
+  function seek(seconds) {
+    if (!currentProfile) return;
+
+    const position = Math.max(0, Math.min(sessionDuration, seconds));
+
+    if (sessionState === SESSION_STATES.PLAYING) {
+      closeExposureSegment();
+      sessionStartTime = audioContext.currentTime - position;
+      scheduleAutomation();
+      openExposureSegment();
+      setSessionState(SESSION_STATES.PLAYING);
+    } else {
+      pausedElapsed = position;
+      setSessionState(SESSION_STATES.PAUSED);
+    }
+  }
 
-    for (const block of silenceBlocks) {
-      if (currentTimeSeconds >= block.start && currentTimeSeconds < block.start + block.duration) {
-        isSilent = true;
-        break;
+  /**
+   * Update the session state and notify listeners
+   * @param {string} state - One of SESSION_STATES
+   * @param {Object} extra - Added to the event detail
+   */
+  function setSessionState(state, extra = {}) {
+    sessionState = state;
+
+    window.dispatchEvent(new CustomEvent('sessionStateChange', {
+      detail: {
+        state,
+        ...getProgress(),
+        ...extra
       }
+    }));
+  }
+
+  /**
+   * Get current playback progress
+   * An open-ended session has no time remaining (Infinity); its progress is the
+   * position on the curves.
+   * @returns {Object} Progress info: { elapsed, remaining, progress }
+   */
+  function getProgress() {
+    let elapsed = 0;
+
+    switch (sessionState) {
+      case SESSION_STATES.PLAYING:
+        elapsed = audioContext ? audioContext.currentTime - sessionStartTime : 0;
+        break;
+      case SESSION_STATES.PAUSED:
+        elapsed = pausedElapsed;
+        break;
+      case SESSION_STATES.COMPLETED:
+        elapsed = sessionDuration;
+        break;
     }
 
-    const targetGain = isSilent ? 0 : 1;
-    silenceGate.gain.setTargetAtTime(targetGain, audioContext.currentTime, 0.05);
+    const remaining = Math.max(0, sessionDuration - elapsed);
+    const duration = currentProfile ? currentProfile.duration : 0;
+    const progress = duration > 0
+      ? Math.min(1, ProfileAutomation.getProfilePosition(currentProfile, elapsed) / duration)
+      : 0;
+
+    return { elapsed, remaining, progress };
   }
 
   /**
-   * Apply subtle stereo panning for spatial interest
-   * @param {number} progress - Session progress (0-1)
+   * Pick up edits to the loaded profile
+   * Reschedules the automation from the current position if the voice is running
    */
-  function applySubtlePanning(progress) {
-    if (!panner) return;
+  function updateAutomation() {
+    if (!currentProfile) return;
+
+    sessionDuration = getSessionDuration(currentProfile);
 
-    // Very subtle, slow panning movement
-    const time = audioContext.currentTime;
-    const panValue = Math.sin(time * 0.05) * 0.1; // ±10% pan over ~20 seconds
-    panner.pan.setTargetAtTime(panValue, audioContext.currentTime, 0.1);
+    if (voice?.isActive()) {
+      scheduleAutomation();
+    }
+  }
+
+  /**
+   * Build the completion event detail for the profile or playlist item
+   * scope is 'profile', 'playlistItem' or (once the last item is done) 'playlist'
+   * @param {number} duration - Seconds played
+   * @returns {Object} Event detail
+   */
+  function getCompletionDetail(duration) {
+    return {
+      scope: playlist ? 'playlistItem' : 'profile',
+      profileId: currentProfile?.id,
+      profileName: currentProfile?.name,
+      duration,
+      proModeEnabled: proModeEnabled,
+      wasAdapted: proModeEnabled && (
+        proModeAdjustments.frequencyOffset !== 0 ||
+        proModeAdjustments.textureOffset !== 0 ||
+        proModeAdjustments.modulationOffset !== 0
+      ),
+      playlist: getPlaylist()
+    };
   }
 
   /**
    * Handle session completion
    */
   function onSessionComplete() {
-    stop();
+    if (sessionState !== SESSION_STATES.PLAYING) return;
+
+    closeExposureSegment();
 
-    // Dispatch completion event
     const event = new CustomEvent('sessionComplete', {
-      detail: {
-        profileId: currentProfile?.id,
-        profileName: currentProfile?.name,
-        duration: sessionDuration,
-        proModeEnabled: proModeEnabled,
-        wasAdapted: proModeEnabled && (
-          proModeAdjustments.frequencyOffset !== 0 ||
-          proModeAdjustments.textureOffset !== 0 ||
-          proModeAdjustments.modulationOffset !== 0
-        )
-      }
+      detail: getCompletionDetail(sessionDuration)
     });
+
+    // A playlist carries on with its next item, which is already fading in
+    if (playlist && playlistIndex < playlist.profiles.length - 1) {
+      window.dispatchEvent(event);
+      advancePlaylist();
+      return;
+    }
+
+    stopSources();
+    pausedElapsed = 0;
+    setSessionState(SESSION_STATES.COMPLETED);
     window.dispatchEvent(event);
+
+    if (playlist) {
+      window.dispatchEvent(new CustomEvent('sessionComplete', {
+        detail: {
+          scope: 'playlist',
+          duration: playlist.duration,
+          proModeEnabled: proModeEnabled,
+          playlist: getPlaylist()
+        }
+      }));
+    }
   }
 
   /**
@@ -417,6 +914,10 @@ const AudioEngine = (function() {
         textureOffset: 0,
         modulationOffset: 0
       };
+
+      if (getIsPlaying()) {
+        scheduleAutomation();
+      }
     }
   }
 
@@ -425,7 +926,7 @@ const AudioEngine = (function() {
    * Called when user interacts with the app during a session
    */
   function recordInteraction() {
-    if (!proModeEnabled || !isPlaying) return;
+    if (!proModeEnabled || sessionState !== SESSION_STATES.PLAYING) return;
 
     interactionCount++;
 
@@ -441,7 +942,12 @@ const AudioEngine = (function() {
     } else if (elapsed > 300 && interactionsPerMinute < 0.5) {
       // Low interaction for 5+ minutes - user is focused, subtle enhancement
       proModeAdjustments.modulationOffset = Math.min(0.1, proModeAdjustments.modulationOffset + 0.005);
+    } else {
+      return;
     }
+
+    // Apply the adjusted values from here on
+    scheduleAutomation();
   }
 
   /**
@@ -449,7 +955,15 @@ const AudioEngine = (function() {
    * @returns {boolean} Is playing
    */
   function getIsPlaying() {
-    return isPlaying;
+    return sessionState === SESSION_STATES.PLAYING;
+  }
+
+  /**
+   * Get session state
+   * @returns {string} One of SESSION_STATES
+   */
+  function getState() {
+    return sessionState;
   }
 
   /**
@@ -460,6 +974,35 @@ const AudioEngine = (function() {
     return currentProfile;
   }
 
+  /**
+   * Get the analyser tapped after the master gain
+   * @returns {AnalyserNode|null} Analyser, or null before the audio context exists
+   */
+  function getAnalyser() {
+    return analyser;
+  }
+
+  /**
+   * Decode and store an audio file as an ambience sample
+   * @param {File} file - Audio file chosen by the user
+   * @returns {Promise<Object>} Metadata of the stored sample (see SampleStore.importFile)
+   */
+  async function importSample(file) {
+    await init();
+    return SampleStore.importFile(file, audioContext);
+  }
+
+  /**
+   * Load an ambience sample ahead of playback
+   * @param {string} id - Sample ID
+   * @returns {Promise<boolean>} Whether the sample could be loaded (false once it has been deleted)
+   */
+  async function loadSample(id) {
+    await init();
+    const buffer = await SampleStore.loadLoopBuffer(id, audioContext);
+    return buffer !== null;
+  }
+
   /**
    * Preview a specific layer configuration
    * Used by the editor for real-time feedback
@@ -467,23 +1010,50 @@ const AudioEngine = (function() {
    * @param {*} value - Layer value
    */
   async function previewLayer(layer, value) {
+    if (!currentProfile) return;
     await init();
 
-    // Start preview oscillator if not playing
-    if (!isPlaying) {
-      startOscillator();
+    // During a session the edit is heard through the rescheduled automation
+    if (getIsPlaying()) {
+      updateAutomation();
+      return;
     }
 
+    // Start preview sources at the current position, without the session's fades or silence
+    startSources();
+    voice.bypassEnvelope();
+
     switch (layer) {
       case 'baseFrequency':
-        if (oscillator) {
-          const freq = mapToFrequency(value);
-          oscillator.frequency.setTargetAtTime(freq, audioContext.currentTime, 0.05);
-        }
+        voice.setFrequency(ProfileAutomation.mapToFrequency(value));
         break;
 
       case 'texture':
-        applyTexture(value);
+        voice.setTexture(ProfileAutomation.mapTexture(value));
+        break;
+
+      case 'noise':
+        voice.setNoise(value.type, value.level);
+        break;
+
+      case 'isochronic':
+        if (typeof value === 'number') {
+          voice.setPulseRate(value);
+        }
+        break;
+
+      case 'binaural':
+        if (typeof value === 'number') {
+          voice.setBinauralBeat(value);
+        }
+        break;
+
+      case 'spatial':
+        voice.setPosition(value);
+        break;
+
+      case 'ambience':
+        voice.setAmbienceLevel(value);
         break;
 
       case 'modulation':
@@ -492,15 +1062,11 @@ const AudioEngine = (function() {
     }
 
     // Auto-stop preview after 500ms if not in session
-    if (!currentProfile || !isPlaying) {
-      setTimeout(() => {
-        if (!isPlaying && oscillator) {
-          oscillator.stop();
-          oscillator.disconnect();
-          oscillator = null;
-        }
-      }, 500);
-    }
+    setTimeout(() => {
+      if (!getIsPlaying()) {
+        stopSources(true);
+      }
+    }, 500);
   }
 
   /**
@@ -509,33 +1075,59 @@ const AudioEngine = (function() {
   function dispose() {
     stop();
 
+    if (voice) {
+      voice.dispose();
+      nextVoice.dispose();
+      voice = null;
+      nextVoice = null;
+    }
+
     if (audioContext) {
       audioContext.close();
       audioContext = null;
     }
+    activeOutputId = '';
+    outputRouted = false;
 
-    oscillator = null;
-    filter = null;
-    densityGain = null;
-    panner = null;
-    silenceGate = null;
     masterGain = null;
+    limiter = null;
+    voiceGain = null;
+    nextVoiceGain = null;
   }
 
   // Public API
   return {
     init,
     loadProfile,
+    loadPlaylist,
+    getPlaylist,
     play,
     pause,
     stop,
+    seek,
+    seekToPosition,
     getProgress,
     getIsPlaying,
+    getState,
     getCurrentProfile,
+    getAnalyser,
+    isOutputSelectionSupported,
+    getOutputDevices,
+    setOutputDevice,
+    getOutputDeviceKey,
+    importSample,
+    loadSample,
     setMasterVolume,
+    setVolumeCeiling,
+    setExposureCap,
+    getEffectiveVolume,
+    getDailyExposure,
+    saveExposure,
     setProMode,
     recordInteraction,
     previewLayer,
-    dispose
+    updateAutomation,
+    dispose,
+    SESSION_STATES
   };
 })();
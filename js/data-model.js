@@ -12,40 +12,205 @@ const DataModel = (function() {
     PROFILES: 'focuslab_profiles',
     CURRENT_PROFILE: 'focuslab_current_profile',
     SETTINGS: 'focuslab_settings',
-    HISTORY: 'focuslab_history'
+    HISTORY: 'focuslab_history',
+    EXPOSURE: 'focuslab_exposure',
+    PLAYLISTS: 'focuslab_playlists',
+    POMODORO: 'focuslab_pomodoro',
+    ACTIVE_SESSION: 'focuslab_active_session' // Followed by ':' and the page ID, one record per page
   };
 
+  // Days of exposure kept
+  const EXPOSURE_DAYS = 30;
+
+  // Sessions kept in history
+  const HISTORY_LIMIT = 500;
+
+  // Post-session check-in: focus rating range and how the sound was felt
+  const CHECK_IN_RATING_RANGE = { min: 1, max: 5 };
+  const CHECK_IN_SOUND_RESPONSES = ['helped', 'neutral', 'distracted'];
+
   // Default settings
   const DEFAULT_SETTINGS = {
     masterVolume: 0.7,
     notificationsEnabled: true,
-    proModeEnabled: false
+    proModeEnabled: false,
+    visualizerEnabled: true,
+    visualizerMode: 'spectrum', // 'spectrum' or 'level'
+    checkInEnabled: true, // Ask for a focus rating after a session
+    volumeCeiling: 1, // Highest master volume allowed (0-1)
+    exposureProtection: 'warn', // 'off', 'warn' or 'cap' (lower the volume once the daily allowance is used up)
+    outputDeviceId: '', // Chosen audio output ('' = the system default)
+    deviceVolumes: {} // Last master volume used on each output device, by device ID
+  };
+
+  // Binaural beat frequency range (Hz)
+  const BINAURAL_BEAT_RANGE = { min: 1, max: 30 };
+
+  // Isochronic pulse rate range (Hz)
+  const ISOCHRONIC_RATE_RANGE = { min: 1, max: 20 };
+
+  // Tonal voices stacked on the base frequency curve
+  const MAX_TONE_VOICES = 6;
+  const TONE_DETUNE_RANGE = { min: 0, max: 25 }; // Cents
+
+  // Modulation LFOs
+  const MAX_MODULATION_LFOS = 4;
+  const MODULATION_RATE_RANGE = { min: 0.01, max: 2 }; // Hz
+  const MODULATION_WAVEFORMS = ['sine', 'triangle', 'randomWalk', 'smoothNoise'];
+  const MODULATION_TARGETS = ['pitch', 'filter', 'density', 'pan', 'level'];
+  const MODULATION_SEEDS = 0x100000; // Seeds run from 0 to one less than this
+
+  // Modulation presets, expanded into the layer's LFOs when chosen
+  const MODULATION_PRESETS = {
+    stable: [],
+    gentle: [
+      { waveform: 'sine', rate: 0.1, depth: 0.1, target: 'pitch' },
+      { waveform: 'sine', rate: 0.05, depth: 0.3, target: 'filter' }
+    ],
+    irregular: [
+      { waveform: 'smoothNoise', rate: 0.3, depth: 0.2, target: 'pitch' },
+      { waveform: 'randomWalk', rate: 0.1, depth: 0.4, target: 'filter' },
+      { waveform: 'smoothNoise', rate: 0.2, depth: 0.3, target: 'density' }
+    ]
+  };
+
+  // Spatial position: azimuth in degrees (0 = front, negative = left, ±180 = behind)
+  // and distance in HRTF mode (1 = close)
+  const SPATIAL_AZIMUTH_RANGE = { min: -180, max: 180 };
+  const SPATIAL_DISTANCE_RANGE = { min: 1, max: 5 };
+
+  // Envelope time ranges (seconds)
+  const ENVELOPE_RANGES = {
+    fadeIn: { min: 0, max: 60 },
+    fadeOut: { min: 0, max: 120 },
+    silenceRelease: { min: 0, max: 5 },
+    silenceAttack: { min: 0, max: 5 }
+  };
+
+  // Profile duration limits (seconds)
+  const PROFILE_DURATION_RANGE = { min: 60, max: 12 * 3600 };
+
+  // What a profile does once its duration has played: stop the session, or run
+  // on until it is stopped with the curves looping or holding their last values
+  const PROFILE_ENDINGS = ['stop', 'loop', 'hold'];
+
+  // Playlist crossfade between items (seconds)
+  const PLAYLIST_CROSSFADE_RANGE = { min: 0, max: 60 };
+
+  // Durations offered for a playlist item (seconds)
+  const PLAYLIST_ITEM_DURATIONS = [300, 600, 900, 1500, 1800, 2700, 3600];
+
+  // Default playlist template
+  // Items play a profile for their own duration, in order
+  const DEFAULT_PLAYLIST = {
+    id: null,
+    name: '新規プレイリスト',
+    crossfade: 10,
+    items: [] // { profileId, duration (seconds) }
+  };
+
+  // Durations offered for Pomodoro work intervals and breaks (seconds)
+  const POMODORO_WORK_DURATIONS = [900, 1200, 1500, 1800, 2700, 3000, 3600];
+  const POMODORO_BREAK_DURATIONS = [60, 180, 300, 600, 900, 1200, 1800];
+
+  // Work intervals in a Pomodoro run, and how often the break is a long one
+  const POMODORO_CYCLES_RANGE = { min: 1, max: 12 };
+  const POMODORO_LONG_BREAK_RANGE = { min: 2, max: 8 };
+
+  // Default Pomodoro setup
+  // Each cycle is a work interval followed by a break; every longBreakEvery-th break is long
+  const DEFAULT_POMODORO = {
+    workProfileId: 'preset-focus',
+    breakProfileId: null, // Profile played during breaks, null for silence
+    workDuration: 1500,
+    shortBreakDuration: 300,
+    longBreakDuration: 900,
+    cycles: 4,
+    longBreakEvery: 4,
+    autoAdvance: true // Start the next interval right away, or wait until it is confirmed
   };
 
   // Default profile template
   const DEFAULT_PROFILE = {
     id: null,
     name: '新規プロファイル',
-    duration: 1500, // 25 minutes in seconds
+    duration: 1500, // 25 minutes in seconds (the loop period when the session is open-ended)
+    ending: 'stop', // 'stop', or 'loop' / 'hold' for an open-ended session
     createdAt: null,
     updatedAt: null,
+    envelope: {
+      fadeIn: 10, // From silence to full level at the session start
+      fadeOut: 30, // From full level to silence before the session ends
+      silenceRelease: 1, // Fade into each silence block
+      silenceAttack: 1 // Fade back in at the end of each silence block
+    },
     layers: {
       baseFrequency: {
         curve: [
           { time: 0, value: 0.5 }
+        ],
+        voices: [ // Tonal voices, all following the curve
+          {
+            ratio: 1, // Frequency ratio to the curve (1 = unison, 2 = octave, 1.5 = fifth)
+            level: 1, // 0-1
+            detune: 0 // Cents, for slow beating against the other voices
+          }
         ]
       },
+      isochronic: {
+        enabled: false,
+        rateCurve: [ // Pulse rate in Hz over the session
+          { time: 0, value: 10 },
+          { time: 1, value: 6 }
+        ],
+        shape: 'soft', // 'square', 'soft', 'sine'
+        duty: 0.5 // Fraction of each pulse period the tone is audible
+      },
       texture: {
-        densityMap: [
+        densityMap: [ // Texture density (0-1) over the session, painted in the editor
           { time: 0, value: 0.3 }
+        ],
+        baseDensity: 0.3, // Density outside the painted areas (the eraser paints back to it)
+        noiseType: 'none', // 'none', 'white', 'pink', 'brown', 'air'
+        noiseLevel: 0.5
+      },
+      ambience: {
+        enabled: false,
+        sampleId: null, // Imported recording in SampleStore (may have been deleted since)
+        sampleName: '', // Name of the recording when it was chosen, shown if it goes missing
+        levelCurve: [ // Level of the looping recording (0-1) over the session
+          { time: 0, value: 0.5 }
         ]
       },
       modulation: {
-        type: 'stable', // 'stable', 'gentle', 'irregular'
-        intensity: 0.2
+        type: 'stable', // Preset the LFOs came from: 'stable', 'gentle', 'irregular' or 'custom' once edited
+        intensity: 0.2, // Scales every LFO's depth
+        seed: 0, // Picks the variation of the random walk and smooth noise LFOs
+        lfos: [] // { waveform, rate (Hz), depth (0-1), target: 'pitch', 'filter', 'density', 'pan' or 'level' }
       },
       silence: {
         blocks: []
+      },
+      spatial: {
+        enabled: true,
+        mode: 'stereo', // 'stereo' (left/right only) or 'hrtf' (around the listener)
+        positionCurve: [ // Azimuth in degrees over the session
+          { time: 0, value: 0 },
+          { time: 0.25, value: -6 },
+          { time: 0.5, value: 6 },
+          { time: 0.75, value: -6 },
+          { time: 1, value: 0 }
+        ],
+        distance: 1
+      },
+      binaural: {
+        enabled: false,
+        carrier: 200, // Hz, centre frequency between the two ears
+        beatCurve: [ // Beat frequency in Hz over the session
+          { time: 0, value: 10 },
+          { time: 1, value: 6 }
+        ],
+        mix: 0.3
       }
     }
   };
@@ -142,10 +307,11 @@ const DataModel = (function() {
 
   /**
    * Generate a unique ID
+   * @param {string} prefix - Kind of object the ID is for
    * @returns {string} Unique identifier
    */
-  function generateId() {
-    return 'profile-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+  function generateId(prefix = 'profile') {
+    return prefix + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
   }
 
   /**
@@ -157,6 +323,55 @@ const DataModel = (function() {
     return JSON.parse(JSON.stringify(obj));
   }
 
+  /**
+   * Fill in envelope and layer fields missing from profiles saved by older versions
+   * @param {Object} profile - Profile to normalize (modified in place)
+   * @returns {Object} The same profile
+   */
+  function normalizeProfile(profile) {
+    const defaultLayers = DEFAULT_PROFILE.layers;
+    profile.layers = profile.layers || {};
+
+    // Profiles from before custom LFOs only name a preset
+    const modulation = profile.layers.modulation;
+    if (modulation && !Array.isArray(modulation.lfos)) {
+      modulation.lfos = getModulationPreset(modulation.type);
+    }
+
+    // Profiles from before the paint editor have a flat density map
+    const texture = profile.layers.texture;
+    if (texture && texture.baseDensity === undefined) {
+      texture.baseDensity = texture.densityMap?.[0]?.value ?? DEFAULT_PROFILE.layers.texture.baseDensity;
+    }
+
+    if (!PROFILE_ENDINGS.includes(profile.ending)) {
+      profile.ending = DEFAULT_PROFILE.ending;
+    }
+
+    profile.envelope = {
+      ...deepClone(DEFAULT_PROFILE.envelope),
+      ...profile.envelope
+    };
+
+    Object.keys(defaultLayers).forEach(key => {
+      profile.layers[key] = {
+        ...deepClone(defaultLayers[key]),
+        ...profile.layers[key]
+      };
+    });
+
+    return profile;
+  }
+
+  /**
+   * Get the LFOs of a modulation preset
+   * @param {string} type - Preset name
+   * @returns {Array} Copy of the preset's LFOs (empty for unknown presets)
+   */
+  function getModulationPreset(type) {
+    return deepClone(MODULATION_PRESETS[type] || []);
+  }
+
   /**
    * Get all profiles (presets + user profiles)
    * @returns {Array} Array of profile objects
@@ -284,6 +499,261 @@ const DataModel = (function() {
     }
   }
 
+  /**
+   * Get all playlists
+   * @returns {Array} Array of playlist objects
+   */
+  function getAllPlaylists() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.PLAYLISTS);
+      return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+      console.error('Error reading playlists:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Get a playlist by ID
+   * @param {string} id - Playlist ID
+   * @returns {Object|null} Playlist object or null
+   */
+  function getPlaylist(id) {
+    return getAllPlaylists().find(p => p.id === id) || null;
+  }
+
+  /**
+   * Create a new playlist
+   * @param {Object} playlistData - Playlist data
+   * @returns {Object} Created playlist
+   */
+  function createPlaylist(playlistData = {}) {
+    const now = Date.now();
+    const playlist = {
+      ...deepClone(DEFAULT_PLAYLIST),
+      ...playlistData,
+      id: generateId('playlist'),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const playlists = getAllPlaylists();
+    playlists.push(playlist);
+    savePlaylists(playlists);
+
+    return playlist;
+  }
+
+  /**
+   * Update an existing playlist
+   * @param {string} id - Playlist ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|null} Updated playlist or null
+   */
+  function updatePlaylist(id, updates) {
+    const playlists = getAllPlaylists();
+    const index = playlists.findIndex(p => p.id === id);
+    if (index === -1) return null;
+
+    playlists[index] = {
+      ...playlists[index],
+      ...updates,
+      id: playlists[index].id,
+      createdAt: playlists[index].createdAt,
+      updatedAt: Date.now()
+    };
+
+    savePlaylists(playlists);
+    return playlists[index];
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} id - Playlist ID
+   * @returns {boolean} Success status
+   */
+  function deletePlaylist(id) {
+    const playlists = getAllPlaylists();
+    const filtered = playlists.filter(p => p.id !== id);
+
+    if (filtered.length === playlists.length) {
+      return false;
+    }
+
+    savePlaylists(filtered);
+    return true;
+  }
+
+  /**
+   * Save playlists to localStorage
+   * @param {Array} playlists - Array of playlists
+   */
+  function savePlaylists(playlists) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PLAYLISTS, JSON.stringify(playlists));
+    } catch (e) {
+      console.error('Error saving playlists:', e);
+    }
+  }
+
+  /**
+   * Get the total running time of a playlist, with the items overlapping by the crossfade
+   * @param {Object} playlist - Playlist
+   * @returns {number} Duration in seconds
+   */
+  function getPlaylistDuration(playlist) {
+    const durations = playlist.items
+      .filter(item => getProfile(item.profileId))
+      .map(item => item.duration);
+
+    return durations.reduce((total, duration, index) => {
+      if (index === 0) return duration;
+      return total + duration - getCrossfadeDuration(playlist.crossfade, durations[index - 1], duration);
+    }, 0);
+  }
+
+  /**
+   * Get how long two playlist items overlap
+   * The crossfade is shortened to at most half of either item
+   * @param {number} crossfade - Playlist crossfade in seconds
+   * @param {number} outgoing - Duration of the item that ends
+   * @param {number} incoming - Duration of the item that starts
+   * @returns {number} Overlap in seconds
+   */
+  function getCrossfadeDuration(crossfade, outgoing, incoming) {
+    return Math.max(0, Math.min(crossfade, outgoing / 2, incoming / 2));
+  }
+
+  /**
+   * Prepare a playlist for playback
+   * Items whose profile has been deleted are skipped.
+   * @param {Object} playlist - Playlist
+   * @returns {Object|null} { id, name, duration, crossfade, profiles } with a working copy
+   *   of each item's profile set to the item's duration, or null if nothing can play
+   */
+  function createPlaylistSession(playlist) {
+    // Open-ended profiles play for the item's duration like any other
+    const profiles = playlist.items
+      .map(item => {
+        const profile = getProfile(item.profileId);
+        return profile ? createSessionCopy(profile, item.duration) : null;
+      })
+      .filter(Boolean);
+
+    if (profiles.length === 0) return null;
+
+    return {
+      id: playlist.id,
+      name: playlist.name,
+      duration: getPlaylistDuration(playlist),
+      crossfade: Math.max(PLAYLIST_CROSSFADE_RANGE.min, Math.min(PLAYLIST_CROSSFADE_RANGE.max, playlist.crossfade)),
+      profiles
+    };
+  }
+
+  /**
+   * Get the Pomodoro setup
+   * @returns {Object} Pomodoro setup (see DEFAULT_POMODORO)
+   */
+  function getPomodoro() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.POMODORO);
+      return stored ? { ...DEFAULT_POMODORO, ...JSON.parse(stored) } : { ...DEFAULT_POMODORO };
+    } catch (e) {
+      console.error('Error reading Pomodoro setup:', e);
+      return { ...DEFAULT_POMODORO };
+    }
+  }
+
+  /**
+   * Save the Pomodoro setup
+   * @param {Object} pomodoro - Pomodoro setup
+   */
+  function savePomodoro(pomodoro) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.POMODORO, JSON.stringify(pomodoro));
+    } catch (e) {
+      console.error('Error saving Pomodoro setup:', e);
+    }
+  }
+
+  /**
+   * Get the total running time of a Pomodoro setup
+   * @param {Object} pomodoro - Pomodoro setup
+   * @returns {number} Duration in seconds
+   */
+  function getPomodoroDuration(pomodoro) {
+    const longBreaks = Math.floor(pomodoro.cycles / pomodoro.longBreakEvery);
+    const shortBreaks = pomodoro.cycles - longBreaks;
+    return pomodoro.cycles * pomodoro.workDuration +
+      shortBreaks * pomodoro.shortBreakDuration +
+      longBreaks * pomodoro.longBreakDuration;
+  }
+
+  /**
+   * Prepare a Pomodoro setup for playback
+   * A break profile that has been deleted is played as silence.
+   * @param {Object} pomodoro - Pomodoro setup
+   * @returns {Object|null} { cycles, autoAdvance, intervals } where each interval is
+   *   { type: 'work', 'shortBreak' or 'longBreak', cycle (from 1), profile } with a working
+   *   copy set to the interval's duration, or null if the work profile is missing
+   */
+  function createPomodoroSession(pomodoro) {
+    const workProfile = getProfile(pomodoro.workProfileId);
+    if (!workProfile) return null;
+
+    const breakProfile = pomodoro.breakProfileId ? getProfile(pomodoro.breakProfileId) : null;
+    const createBreak = duration => breakProfile
+      ? createSessionCopy(breakProfile, duration)
+      : createSilentProfile(duration);
+
+    const intervals = [];
+    for (let cycle = 1; cycle <= pomodoro.cycles; cycle++) {
+      intervals.push({
+        type: 'work',
+        cycle,
+        profile: createSessionCopy(workProfile, pomodoro.workDuration)
+      });
+
+      const long = cycle % pomodoro.longBreakEvery === 0;
+      intervals.push({
+        type: long ? 'longBreak' : 'shortBreak',
+        cycle,
+        profile: createBreak(long ? pomodoro.longBreakDuration : pomodoro.shortBreakDuration)
+      });
+    }
+
+    return {
+      cycles: pomodoro.cycles,
+      autoAdvance: pomodoro.autoAdvance,
+      intervals
+    };
+  }
+
+  /**
+   * Create a profile that stays silent for its whole duration
+   * Breaks without sound still run on the audio clock, so they end on time in a hidden tab
+   * @param {number} duration - Duration in seconds
+   * @returns {Object} Working copy
+   */
+  function createSilentProfile(duration) {
+    const profile = createSessionCopy({ ...DEFAULT_PROFILE, name: '休憩（無音）' }, duration);
+    profile.layers.silence.blocks = [{ start: 0, duration }];
+    return profile;
+  }
+
+  /**
+   * Create the copy of a profile played as a playlist item or Pomodoro interval
+   * It keeps the profile's ID, so history knows what played, and is marked as a
+   * session copy so its duration and ending are never saved over the profile.
+   * @param {Object} profile - Sound profile
+   * @param {number} duration - Duration in seconds
+   * @returns {Object} Working copy that plays for the duration and stops
+   */
+  function createSessionCopy(profile, duration) {
+    return { ...createWorkingCopy(profile), duration, ending: 'stop', sessionCopy: true };
+  }
+
   /**
    * Get the current active profile ID
    * @returns {string|null} Current profile ID
@@ -352,19 +822,19 @@ const DataModel = (function() {
 
   /**
    * Add a session to history
-   * @param {Object} session - Session data
+   * @param {Object} session - Session data (timestamp, when it ended, defaults to now)
    */
   function addToHistory(session) {
     try {
       const history = getHistory();
       history.unshift({
-        ...session,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        ...session
       });
 
-      // Keep only last 50 sessions
-      if (history.length > 50) {
-        history.length = 50;
+      // Keep only the latest sessions
+      if (history.length > HISTORY_LIMIT) {
+        history.length = HISTORY_LIMIT;
       }
 
       localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
@@ -387,6 +857,225 @@ const DataModel = (function() {
     }
   }
 
+  /**
+   * Update a history entry
+   * @param {string} id - Entry ID (entries recorded before IDs were added have none)
+   * @param {Object} updates - Fields to set
+   * @returns {boolean} Whether the entry was found
+   */
+  function updateHistoryEntry(id, updates) {
+    const history = getHistory();
+    const entry = history.find(e => e.id === id);
+    if (!entry) return false;
+
+    Object.assign(entry, updates);
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+      return true;
+    } catch (e) {
+      console.error('Error saving history:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a history entry
+   * Entries recorded before IDs were added are matched by their timestamp.
+   * @param {Object} entry - History entry
+   * @returns {boolean} Whether the entry was found
+   */
+  function deleteHistoryEntry(entry) {
+    const history = getHistory();
+    const index = history.findIndex(e => entry.id ? e.id === entry.id : !e.id && e.timestamp === entry.timestamp);
+    if (index === -1) return false;
+
+    history.splice(index, 1);
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+      return true;
+    } catch (e) {
+      console.error('Error saving history:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Sum up the post-session check-ins of each profile
+   * @returns {Object} By profile ID: { count, rating (average, null without ratings), helped, neutral, distracted }
+   */
+  function getCheckInSummaries() {
+    const totals = {};
+
+    getHistory().forEach(entry => {
+      if (!entry.checkIn || !entry.profileId) return;
+
+      if (!totals[entry.profileId]) {
+        totals[entry.profileId] = { count: 0, ratingSum: 0, ratingCount: 0, helped: 0, neutral: 0, distracted: 0 };
+      }
+      const total = totals[entry.profileId];
+      const { rating, sound } = entry.checkIn;
+
+      total.count++;
+      if (Number.isFinite(rating)) {
+        total.ratingSum += rating;
+        total.ratingCount++;
+      }
+      if (CHECK_IN_SOUND_RESPONSES.includes(sound)) {
+        total[sound]++;
+      }
+    });
+
+    const summaries = {};
+    Object.entries(totals).forEach(([profileId, { count, ratingSum, ratingCount, helped, neutral, distracted }]) => {
+      summaries[profileId] = {
+        count,
+        rating: ratingCount > 0 ? ratingSum / ratingCount : null,
+        helped,
+        neutral,
+        distracted
+      };
+    });
+    return summaries;
+  }
+
+  /**
+   * Get the record of the session a page has in progress
+   * @param {string} pageId - Page ID (see SessionTracker)
+   * @returns {Object|null} Session record (see SessionTracker), or null
+   */
+  function getActiveSession(pageId) {
+    try {
+      const stored = localStorage.getItem(getActiveSessionKey(pageId));
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      console.error('Error reading active session:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Get the records of the sessions in progress in every page, open or closed
+   * @returns {Array} Session records
+   */
+  function getActiveSessions() {
+    return getActiveSessionPageIds()
+      .map(pageId => getActiveSession(pageId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Keep the record of a page's session in progress, in case the page is closed
+   * Each page has a key of its own, so pages never write over each other's records.
+   * @param {Object} session - Session record, with the page ID
+   * @returns {boolean} Success status
+   */
+  function saveActiveSession(session) {
+    try {
+      localStorage.setItem(getActiveSessionKey(session.pageId), JSON.stringify(session));
+      return true;
+    } catch (e) {
+      console.error('Error saving active session:', e);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} pageId - Page ID
+   */
+  function clearActiveSession(pageId) {
+    try {
+      localStorage.removeItem(getActiveSessionKey(pageId));
+    } catch (e) {
+      console.error('Error clearing active session:', e);
+    }
+  }
+
+  function getActiveSessionKey(pageId) {
+    return `${STORAGE_KEYS.ACTIVE_SESSION}:${pageId}`;
+  }
+
+  /**
+   * Get the IDs of the pages with a session record in storage
+   * @returns {Array<string>} Page IDs
+   */
+  function getActiveSessionPageIds() {
+    const prefix = getActiveSessionKey('');
+    const pageIds = [];
+
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(prefix)) {
+          pageIds.push(key.slice(prefix.length));
+        }
+      }
+    } catch (e) {
+      console.error('Error reading active sessions:', e);
+    }
+
+    return pageIds;
+  }
+
+  /**
+   * Add sound exposure to a day's total
+   * @param {number} dose - Exposure dose (1 = the daily allowance)
+   * @param {Date} date - Day the exposure belongs to
+   */
+  function addExposure(dose, date = new Date()) {
+    if (!(dose > 0)) return;
+
+    try {
+      const exposure = getExposureLog();
+      const key = getDateKey(date);
+      exposure[key] = (exposure[key] || 0) + dose;
+
+      // Keep only the most recent days
+      Object.keys(exposure).sort().slice(0, -EXPOSURE_DAYS).forEach(day => {
+        delete exposure[day];
+      });
+
+      localStorage.setItem(STORAGE_KEYS.EXPOSURE, JSON.stringify(exposure));
+    } catch (e) {
+      console.error('Error saving exposure:', e);
+    }
+  }
+
+  /**
+   * Get a day's sound exposure
+   * @param {Date} date - Day to look up
+   * @returns {number} Exposure dose (1 = the daily allowance)
+   */
+  function getExposure(date = new Date()) {
+    return getExposureLog()[getDateKey(date)] || 0;
+  }
+
+  /**
+   * Get the stored exposure per day
+   * @returns {Object} Doses keyed by local date (YYYY-MM-DD)
+   */
+  function getExposureLog() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.EXPOSURE);
+      return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      console.error('Error reading exposure:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Format a date as a local day key
+   * @param {Date} date - Date
+   * @returns {string} YYYY-MM-DD
+   */
+  function getDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
   /**
    * Clear all data
    */
@@ -396,6 +1085,10 @@ const DataModel = (function() {
       localStorage.removeItem(STORAGE_KEYS.CURRENT_PROFILE);
       localStorage.removeItem(STORAGE_KEYS.SETTINGS);
       localStorage.removeItem(STORAGE_KEYS.HISTORY);
+      localStorage.removeItem(STORAGE_KEYS.EXPOSURE);
+      localStorage.removeItem(STORAGE_KEYS.PLAYLISTS);
+      localStorage.removeItem(STORAGE_KEYS.POMODORO);
+      getActiveSessionPageIds().forEach(pageId => localStorage.removeItem(getActiveSessionKey(pageId)));
     } catch (e) {
       console.error('Error clearing data:', e);
     }
@@ -408,9 +1101,12 @@ const DataModel = (function() {
   function exportData() {
     return JSON.stringify({
       profiles: getUserProfiles(),
+      playlists: getAllPlaylists(),
+      pomodoro: getPomodoro(),
       currentProfile: getCurrentProfileId(),
       settings: getSettings(),
       history: getHistory(),
+      exposure: getExposureLog(),
       exportedAt: Date.now()
     });
   }
@@ -427,6 +1123,12 @@ const DataModel = (function() {
       if (data.profiles) {
         saveUserProfiles(data.profiles);
       }
+      if (data.playlists) {
+        savePlaylists(data.playlists);
+      }
+      if (data.pomodoro) {
+        savePomodoro(data.pomodoro);
+      }
       if (data.currentProfile) {
         setCurrentProfileId(data.currentProfile);
       }
@@ -436,6 +1138,9 @@ const DataModel = (function() {
       if (data.history) {
         localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(data.history));
       }
+      if (data.exposure) {
+        localStorage.setItem(STORAGE_KEYS.EXPOSURE, JSON.stringify(data.exposure));
+      }
 
       return true;
     } catch (e) {
@@ -450,7 +1155,7 @@ const DataModel = (function() {
    * @returns {Object} Working copy
    */
   function createWorkingCopy(profile) {
-    return deepClone(profile);
+    return normalizeProfile(deepClone(profile));
   }
 
   /**
@@ -469,14 +1174,16 @@ const DataModel = (function() {
   }
 
   /**
-   * Format time as MM:SS
+   * Format time as MM:SS, or H:MM:SS from an hour on
    * @param {number} seconds - Time in seconds
    * @returns {string} Formatted time
    */
   function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor(seconds / 60) % 60;
     const secs = Math.floor(seconds % 60);
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    const time = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${time}` : time;
   }
 
   // Public API
@@ -492,6 +1199,24 @@ const DataModel = (function() {
     setCurrentProfileId,
     getCurrentProfile,
     createWorkingCopy,
+    normalizeProfile,
+    getModulationPreset,
+
+    // Playlists
+    getAllPlaylists,
+    getPlaylist,
+    createPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    getPlaylistDuration,
+    getCrossfadeDuration,
+    createPlaylistSession,
+
+    // Pomodoro
+    getPomodoro,
+    savePomodoro,
+    getPomodoroDuration,
+    createPomodoroSession,
 
     // Settings
     getSettings,
@@ -501,6 +1226,17 @@ const DataModel = (function() {
     // History
     addToHistory,
     getHistory,
+    updateHistoryEntry,
+    deleteHistoryEntry,
+    getCheckInSummaries,
+    getActiveSession,
+    getActiveSessions,
+    saveActiveSession,
+    clearActiveSession,
+
+    // Exposure
+    addExposure,
+    getExposure,
 
     // Data management
     clearAllData,
@@ -510,9 +1246,33 @@ const DataModel = (function() {
     // Utilities
     formatDuration,
     formatTime,
+    getDateKey,
+    generateId,
 
     // Constants
     DEFAULT_PROFILE,
-    PRESET_PROFILES
+    PRESET_PROFILES,
+    BINAURAL_BEAT_RANGE,
+    ISOCHRONIC_RATE_RANGE,
+    MAX_TONE_VOICES,
+    TONE_DETUNE_RANGE,
+    SPATIAL_AZIMUTH_RANGE,
+    SPATIAL_DISTANCE_RANGE,
+    MAX_MODULATION_LFOS,
+    MODULATION_RATE_RANGE,
+    MODULATION_WAVEFORMS,
+    MODULATION_TARGETS,
+    MODULATION_SEEDS,
+    ENVELOPE_RANGES,
+    PROFILE_DURATION_RANGE,
+    PROFILE_ENDINGS,
+    CHECK_IN_RATING_RANGE,
+    CHECK_IN_SOUND_RESPONSES,
+    PLAYLIST_CROSSFADE_RANGE,
+    PLAYLIST_ITEM_DURATIONS,
+    POMODORO_WORK_DURATIONS,
+    POMODORO_BREAK_DURATIONS,
+    POMODORO_CYCLES_RANGE,
+    POMODORO_LONG_BREAK_RANGE
   };
 })();
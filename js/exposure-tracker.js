@@ -0,0 +1,83 @@
+/**
+ * Google Focus Lab - Exposure Tracker Module
+ * Estimates daily sound exposure from what the sessions played
+ *
+ * The output level is estimated from the profile's layers and the master
+ * volume, assuming headphones that reach FULL_SCALE_SPL at full digital
+ * scale. Exposure is expressed as a dose: the fraction of the daily
+ * allowance of 85 dB for 8 hours, where every 3 dB more halves the time
+ * allowed. It is a guide, not a measurement.
+ */
+
+const ExposureTracker = (function() {
+  'use strict';
+
+  // Assumed listening setup
+  const FULL_SCALE_SPL = 100; // dB SPL at full digital scale (typical headphones at full device volume)
+
+  // Daily allowance
+  const REFERENCE_LEVEL = 85; // dB
+  const REFERENCE_SECONDS = 8 * 60 * 60;
+  const EXCHANGE_RATE = 3; // dB per halving of the allowed time
+
+  // The session is evaluated in slices of this many seconds
+  const SAMPLE_SECONDS = 10;
+
+  // Warn when the dose reaches this fraction of the allowance
+  const WARNING_DOSE = 0.8;
+
+  // Master volume ceiling once the allowance is used up (about -9 dB)
+  const CAPPED_VOLUME = 0.35;
+
+  /**
+   * Estimate the sound level at the ears
+   * @param {number} rms - Output RMS level relative to full scale (before the master gain)
+   * @param {number} volume - Master volume (0-1)
+   * @returns {number} Level in dB SPL (-Infinity when silent)
+   */
+  function getLevel(rms, volume) {
+    return FULL_SCALE_SPL + 20 * Math.log10(rms * volume);
+  }
+
+  /**
+   * Get how long a level may be listened to per day
+   * @param {number} level - Level in dB SPL
+   * @returns {number} Allowed seconds
+   */
+  function getAllowedSeconds(level) {
+    return REFERENCE_SECONDS / Math.pow(2, (level - REFERENCE_LEVEL) / EXCHANGE_RATE);
+  }
+
+  /**
+   * Get the dose of a stretch of a session
+   * @param {Object} profile - Sound profile that played
+   * @param {number} from - Start of the stretch in seconds
+   * @param {number} to - End of the stretch in seconds
+   * @param {number} volume - Master volume the stretch played at (0-1)
+   * @returns {number} Dose (1 = the whole daily allowance)
+   */
+  function getDose(profile, from, to, volume) {
+    let dose = 0;
+
+    for (let start = from; start < to; start += SAMPLE_SECONDS) {
+      const seconds = Math.min(SAMPLE_SECONDS, to - start);
+      const rms = ProfileVoice.estimateLevel(profile, start + seconds / 2);
+      const level = getLevel(rms, volume);
+
+      if (level > -Infinity) {
+        dose += seconds / getAllowedSeconds(level);
+      }
+    }
+
+    return dose;
+  }
+
+  // Public API
+  return {
+    getLevel,
+    getAllowedSeconds,
+    getDose,
+    WARNING_DOSE,
+    CAPPED_VOLUME
+  };
+})();
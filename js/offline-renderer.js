@@ -0,0 +1,183 @@
+/**
+ * Google Focus Lab - Offline Renderer Module
+ * Renders a sound profile to a WAV file without playing it
+ *
+ * Render Graph:
+ * ProfileVoice → GainNode (Export) → DynamicsCompressorNode (Limiter) → OfflineAudioContext destination
+ *
+ * The voice schedules the same automation as live playback. The render
+ * suspends at regular checkpoints to report progress.
+ */
+
+const OfflineRenderer = (function() {
+  'use strict';
+
+  // Output format
+  // 22.05kHz keeps a full-length session to a manageable file size;
+  // the profile's content sits well below its Nyquist limit
+  const SAMPLE_RATE = 22050;
+  const CHANNELS = 2;
+  const BITS_PER_SAMPLE = 16;
+
+  // Matches the default live master volume
+  const EXPORT_GAIN = 0.7;
+
+  // Seconds of audio between progress reports
+  const PROGRESS_INTERVAL = 5;
+
+  // Longest profile that can be rendered (seconds)
+  // The whole render is held in memory, as float samples and again as the WAV file
+  const MAX_DURATION = 3600;
+
+  let rendering = false;
+
+  /**
+   * Render a profile to an AudioBuffer
+   * Rejects with an error whose code is 'tooLong' for profiles over MAX_DURATION.
+   * @param {Object} profile - Sound profile
+   * @param {Object} options - { onProgress(progress 0-1) }
+   * @returns {Promise<AudioBuffer>} Rendered audio
+   */
+  async function render(profile, { onProgress } = {}) {
+    if (rendering) {
+      throw new Error('A render is already in progress');
+    }
+    if (!canRender(profile)) {
+      const error = new Error('Profile is too long to render');
+      error.code = 'tooLong';
+      throw error;
+    }
+
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const duration = profile.duration;
+    const context = new OfflineContext(CHANNELS, Math.ceil(duration * SAMPLE_RATE), SAMPLE_RATE);
+
+    const output = context.createGain();
+    output.gain.value = EXPORT_GAIN;
+
+    const limiter = ProfileVoice.createLimiter(context);
+    output.connect(limiter);
+    limiter.connect(context.destination);
+
+    // The voice only plays ambience that is already loaded, so load it up front
+    const { ambience } = profile.layers;
+    if (ambience.enabled && ambience.sampleId) {
+      await SampleStore.loadLoopBuffer(ambience.sampleId, context);
+    }
+
+    const voice = ProfileVoice.create(context, output, { offline: true });
+    voice.start(profile, 0);
+    voice.schedule(0, 0);
+
+    for (let time = PROGRESS_INTERVAL; time < duration; time += PROGRESS_INTERVAL) {
+      context.suspend(time).then(() => {
+        onProgress?.(time / duration);
+        context.resume();
+      });
+    }
+
+    rendering = true;
+    try {
+      const buffer = await context.startRendering();
+      onProgress?.(1);
+      return buffer;
+    } finally {
+      rendering = false;
+    }
+  }
+
+  /**
+   * Render a profile and encode it as a WAV file
+   * @param {Object} profile - Sound profile
+   * @param {Object} options - { onProgress(progress 0-1) }
+   * @returns {Promise<Blob>} WAV file
+   */
+  async function renderToWav(profile, options = {}) {
+    const buffer = await render(profile, options);
+    return encodeWav(buffer);
+  }
+
+  /**
+   * Encode an AudioBuffer as 16-bit PCM WAV
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @returns {Blob} WAV file
+   */
+  function encodeWav(buffer) {
+    const { numberOfChannels, sampleRate, length } = buffer;
+    const bytesPerSample = BITS_PER_SAMPLE / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // Format chunk (PCM)
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, BITS_PER_SAMPLE, true);
+
+    // Data chunk (interleaved samples)
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let c = 0; c < numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+      for (let c = 0; c < numberOfChannels; c++) {
+        const sample = Math.max(-1, Math.min(1, channels[c][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        offset += bytesPerSample;
+      }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  /**
+   * Write an ASCII string into a DataView
+   */
+  function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Check whether a profile is short enough to render
+   * @param {Object} profile - Sound profile
+   * @returns {boolean} Its duration is within MAX_DURATION
+   */
+  function canRender(profile) {
+    return profile.duration <= MAX_DURATION;
+  }
+
+  /**
+   * Get rendering state
+   * @returns {boolean} Is a render in progress
+   */
+  function isRendering() {
+    return rendering;
+  }
+
+  // Public API
+  return {
+    render,
+    renderToWav,
+    encodeWav,
+    canRender,
+    isRendering,
+    MAX_DURATION
+  };
+})();
@@ -0,0 +1,151 @@
+/**
+ * Google Focus Lab - Pomodoro Scheduler Module
+ * Runs a Pomodoro session's work intervals and breaks through the audio engine
+ *
+ * Each interval is played as its own engine session (see
+ * DataModel.createPomodoroSession). When one completes, the next is either
+ * started right away or loaded and held until playback is resumed, so the play
+ * button and the OS media controls both continue the cycle.
+ *
+ * Stopping the engine ends the Pomodoro session.
+ */
+
+const PomodoroScheduler = (function() {
+  'use strict';
+
+  let session = null; // Pomodoro session while one is running
+  let index = 0; // Interval playing, or loaded and waiting to start
+  let waiting = false;
+
+  /**
+   * Start a Pomodoro session from its first interval
+   * @param {Object} pomodoroSession - Session from DataModel.createPomodoroSession
+   */
+  function start(pomodoroSession) {
+    // Stopping whatever plays now must not end the new session
+    AudioEngine.stop('replaced');
+
+    session = pomodoroSession;
+    index = 0;
+    waiting = false;
+    playInterval();
+  }
+
+  /**
+   * Load the current interval into the engine and play it
+   */
+  function playInterval() {
+    AudioEngine.loadProfile(session.intervals[index].profile);
+    notifyChange();
+    AudioEngine.play();
+  }
+
+  /**
+   * Move on after the engine has completed the current interval
+   * The next interval starts right away, or waits when the session asks for confirmation.
+   * @returns {Object|null} { interval, next } for the completed interval and the one after it
+   *   (null after the last), or null when no Pomodoro session is running
+   */
+  function completeInterval() {
+    if (!session) return null;
+
+    const interval = session.intervals[index];
+
+    if (index === session.intervals.length - 1) {
+      session = null;
+      waiting = false;
+      notifyChange();
+      return { interval, next: null };
+    }
+
+    index++;
+    const next = session.intervals[index];
+
+    if (session.autoAdvance) {
+      playInterval();
+    } else {
+      waiting = true;
+      AudioEngine.loadProfile(next.profile);
+      notifyChange();
+    }
+
+    return { interval, next };
+  }
+
+  /**
+   * Start the interval that is waiting for confirmation
+   */
+  function continueSession() {
+    if (!waiting) return;
+    AudioEngine.play();
+  }
+
+  /**
+   * End the Pomodoro session and leave the engine as it is
+   * Used when another profile is loaded in its place
+   */
+  function cancel() {
+    if (!session) return;
+
+    session = null;
+    waiting = false;
+    notifyChange();
+  }
+
+  /**
+   * Get where the Pomodoro session is
+   * @returns {Object|null} { type, cycle, cycles, index, count, waiting } for the interval
+   *   playing (or waiting to start), or null when no session is running
+   */
+  function getStatus() {
+    if (!session) return null;
+
+    const { type, cycle } = session.intervals[index];
+    return {
+      type,
+      cycle,
+      cycles: session.cycles,
+      index,
+      count: session.intervals.length,
+      waiting
+    };
+  }
+
+  function isActive() {
+    return session !== null;
+  }
+
+  function isWaiting() {
+    return waiting;
+  }
+
+  function notifyChange() {
+    window.dispatchEvent(new CustomEvent('pomodoroChange', {
+      detail: { status: getStatus() }
+    }));
+  }
+
+  // The waiting interval may be started from anywhere (play button, media keys),
+  // and stopping the engine ends the session
+  window.addEventListener('sessionStateChange', (event) => {
+    const { state } = event.detail;
+
+    if (state === AudioEngine.SESSION_STATES.PLAYING && waiting) {
+      waiting = false;
+      notifyChange();
+    } else if (state === AudioEngine.SESSION_STATES.IDLE) {
+      cancel();
+    }
+  });
+
+  // Public API
+  return {
+    start,
+    completeInterval,
+    continueSession,
+    cancel,
+    getStatus,
+    isActive,
+    isWaiting
+  };
+})();
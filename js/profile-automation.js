@@ -0,0 +1,504 @@
+/**
+ * Google Focus Lab - Profile Automation Module
+ * Evaluates a sound profile's parameters at a point in the session
+ *
+ * Pure functions only: no audio context is needed, so the same logic
+ * drives live playback and offline rendering.
+ */
+
+const ProfileAutomation = (function() {
+  'use strict';
+
+  // Frequency mapping (perceptual to Hz)
+  // 0.0 = Low (around 80Hz), 1.0 = High (around 400Hz)
+  // These are kept internal - UI shows only perceptual labels
+  const FREQ_MIN = 80;
+  const FREQ_MAX = 400;
+
+  // Filter mapping for texture
+  // 0.0 = Smooth (low Q, high frequency), 1.0 = Rough (high Q, low frequency)
+  const FILTER_FREQ_MIN = 200;
+  const FILTER_FREQ_MAX = 2000;
+  const FILTER_Q_MIN = 0.5;
+  const FILTER_Q_MAX = 8;
+
+  // Equal-loudness contour at 40 phon (ISO 226:2003): [Hz, dB SPL]
+  // Low tones need more level to sound as loud as higher ones
+  const EQUAL_LOUDNESS_CONTOUR = [
+    [31.5, 88.2], [40, 82.6], [50, 77.8], [63, 73.1], [80, 68.5], [100, 64.4],
+    [125, 60.6], [160, 56.7], [200, 53.4], [250, 50.4], [315, 47.6], [400, 45.0],
+    [500, 43.1], [630, 41.9], [800, 40.8], [1000, 40.0]
+  ];
+
+  // Loudness compensation: half the contour's difference from the reference,
+  // with the boost for low tones capped
+  const LOUDNESS_REFERENCE = 200; // Hz, passes unchanged
+  const LOUDNESS_STRENGTH = 0.5;
+  const LOUDNESS_MAX_BOOST = 6; // dB
+
+  // Filter resonance boosts tones near the cutoff; density takes back half of it (in dB)
+  const RESONANCE_COMPENSATION = 0.5;
+
+  // Modulation targets: deviation at full LFO depth and intensity
+  const MODULATION_RANGES = {
+    pitch: 100, // Cents, on every tonal voice
+    filter: 1200, // Cents, on the texture filter cutoff
+    density: 0.3, // Density gain
+    pan: 0.8, // Stereo position
+    level: 0.5 // Output level
+  };
+
+  // Random waveforms step to a new random point once per LFO cycle
+  const RANDOM_WALK_STEP = 0.35;
+
+  // No Pro Mode adjustments
+  const NO_ADJUSTMENTS = {
+    frequencyOffset: 0,
+    textureOffset: 0,
+    modulationOffset: 0
+  };
+
+  /**
+   * Interpolate a value from a curve at a given progress point
+   * @param {Array} curve - Array of {time, value} points
+   * @param {number} progress - Progress (0-1)
+   * @returns {number} Interpolated value
+   */
+  function interpolateCurve(curve, progress) {
+    if (!curve || curve.length === 0) return 0.5;
+    if (curve.length === 1) return curve[0].value;
+
+    // Find surrounding points
+    let lower = curve[0];
+    let upper = curve[curve.length - 1];
+
+    for (let i = 0; i < curve.length - 1; i++) {
+      if (curve[i].time <= progress && curve[i + 1].time >= progress) {
+        lower = curve[i];
+        upper = curve[i + 1];
+        break;
+      }
+    }
+
+    // Linear interpolation
+    const range = upper.time - lower.time;
+    if (range === 0) return lower.value;
+
+    const t = (progress - lower.time) / range;
+    return lower.value + (upper.value - lower.value) * t;
+  }
+
+  /**
+   * Map perceptual value (0-1) to frequency (Hz)
+   * @param {number} value - Perceptual value (0-1)
+   * @returns {number} Frequency in Hz
+   */
+  function mapToFrequency(value) {
+    // Exponential mapping for perceptually linear response
+    const normalizedValue = Math.max(0, Math.min(1, value));
+    return FREQ_MIN * Math.pow(FREQ_MAX / FREQ_MIN, normalizedValue);
+  }
+
+  /**
+   * Get the gain that makes a tone sound about as loud as the reference
+   * @param {number} frequency - Tone frequency in Hz
+   * @returns {number} Gain (above 1 for low tones, below 1 for high ones)
+   */
+  function getLoudnessCompensation(frequency) {
+    const db = LOUDNESS_STRENGTH * (getEqualLoudnessLevel(frequency) - getEqualLoudnessLevel(LOUDNESS_REFERENCE));
+    return Math.pow(10, Math.min(LOUDNESS_MAX_BOOST, db) / 20);
+  }
+
+  /**
+   * Read the equal-loudness contour, interpolated on a log-frequency scale
+   * @param {number} frequency - Frequency in Hz
+   * @returns {number} Level in dB SPL (held flat beyond the table)
+   */
+  function getEqualLoudnessLevel(frequency) {
+    const first = EQUAL_LOUDNESS_CONTOUR[0];
+    const last = EQUAL_LOUDNESS_CONTOUR[EQUAL_LOUDNESS_CONTOUR.length - 1];
+    if (frequency <= first[0]) return first[1];
+    if (frequency >= last[0]) return last[1];
+
+    const upper = EQUAL_LOUDNESS_CONTOUR.findIndex(([hz]) => hz >= frequency);
+    const [lowHz, lowDb] = EQUAL_LOUDNESS_CONTOUR[upper - 1];
+    const [highHz, highDb] = EQUAL_LOUDNESS_CONTOUR[upper];
+    const t = Math.log(frequency / lowHz) / Math.log(highHz / lowHz);
+    return lowDb + (highDb - lowDb) * t;
+  }
+
+  /**
+   * Map texture value (0-1) to filter and density parameters
+   * @param {number} value - Texture value (0 = smooth, 1 = rough)
+   * @returns {Object} { filterFrequency, filterQ, density }
+   */
+  function mapTexture(value) {
+    const normalizedValue = Math.max(0, Math.min(1, value));
+    // Inverse relationship - higher texture value = lower filter frequency
+    const filterFrequency = FILTER_FREQ_MAX - (normalizedValue * (FILTER_FREQ_MAX - FILTER_FREQ_MIN));
+    const filterQ = FILTER_Q_MIN + (normalizedValue * (FILTER_Q_MAX - FILTER_Q_MIN));
+    const boost = getResonanceBoost(filterFrequency, filterQ);
+
+    return {
+      filterFrequency,
+      filterQ,
+      // Density gain follows texture, less the filter's resonant boost
+      density: (0.7 + (normalizedValue * 0.3)) * Math.pow(boost, -RESONANCE_COMPENSATION)
+    };
+  }
+
+  /**
+   * Get the largest gain the texture filter applies to a tone in the base frequency range
+   * @param {number} cutoff - Lowpass cutoff in Hz
+   * @param {number} q - Filter Q
+   * @returns {number} Gain (at least 1)
+   */
+  function getResonanceBoost(cutoff, q) {
+    const lowpassGain = frequency => {
+      const r = frequency / cutoff;
+      return 1 / Math.sqrt(Math.pow(1 - r * r, 2) + Math.pow(r / q, 2));
+    };
+
+    // With the cutoff among the tones, the resonant peak is reached; otherwise the nearest tone
+    const peak = q > Math.SQRT1_2 ? q / Math.sqrt(1 - 1 / (4 * q * q)) : 1;
+    const boost = cutoff >= FREQ_MIN && cutoff <= FREQ_MAX
+      ? peak
+      : lowpassGain(Math.min(cutoff, FREQ_MAX));
+    return Math.max(1, boost);
+  }
+
+  /**
+   * Get how far an LFO moves its target
+   * @param {Object} lfo - LFO settings ({ waveform, rate, depth, target })
+   * @param {number} intensity - Modulation layer intensity (Pro Mode offset included)
+   * @returns {number} Deviation in the target's units (see MODULATION_RANGES)
+   */
+  function getLfoDepth(lfo, intensity) {
+    const range = MODULATION_RANGES[lfo.target] || 0;
+    return Math.max(0, lfo.depth) * Math.max(0, intensity) * range;
+  }
+
+  /**
+   * Sample an LFO's waveform over a stretch of the session
+   * The phase is counted from the start of the session, and the random
+   * waveforms are hashed from the layer's seed, so the same stretch always
+   * gives the same values, whether played, rendered or drawn.
+   * @param {Object} lfo - LFO settings ({ waveform, rate, depth, target })
+   * @param {number} index - Position of the LFO in the layer (varies the random waveforms)
+   * @param {number} start - Start of the stretch in seconds
+   * @param {number} end - End of the stretch in seconds
+   * @param {number} count - Number of evenly spaced samples, first at start and last at end
+   * @param {number} seed - Modulation layer seed (picks the random waveforms' variation)
+   * @returns {Float32Array} Values from -1 to 1
+   */
+  function sampleLfo(lfo, index, start, end, count, seed = 0) {
+    const values = new Float32Array(count);
+    // Every seed and LFO gets its own sequence; seed 0 keeps the sequences of unseeded profiles
+    const salt = seed * DataModel.MAX_MODULATION_LFOS + index + 1;
+    const interval = count > 1 ? (end - start) / (count - 1) : 0;
+
+    // Random walk points, extended as far as the samples need
+    const walk = [0];
+
+    for (let i = 0; i < count; i++) {
+      const cycles = Math.max(0, (start + i * interval) * lfo.rate);
+      const step = Math.floor(cycles);
+      const fraction = cycles - step;
+
+      switch (lfo.waveform) {
+        case 'triangle':
+          values[i] = 1 - 4 * Math.abs(((cycles + 0.25) % 1) - 0.5);
+          break;
+
+        case 'randomWalk':
+          while (walk.length < step + 2) {
+            const last = walk.length - 1;
+            walk.push(reflect(walk[last] + hashNoise(last, salt) * RANDOM_WALK_STEP));
+          }
+          values[i] = walk[step] + (walk[step + 1] - walk[step]) * fraction;
+          break;
+
+        case 'smoothNoise': {
+          // Raised-cosine blend between one random point per cycle
+          const t = 0.5 - 0.5 * Math.cos(Math.PI * fraction);
+          const from = hashNoise(step, salt);
+          values[i] = from + (hashNoise(step + 1, salt) - from) * t;
+          break;
+        }
+
+        default: // sine
+          values[i] = Math.sin(2 * Math.PI * cycles);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Sample the combined modulation of all LFOs, for drawing
+   * Each LFO counts in proportion to its depth, whatever its target
+   * @param {Object} modulation - Modulation layer
+   * @param {number} duration - Session duration in seconds
+   * @param {number} count - Number of evenly spaced samples across the session
+   * @returns {Float32Array} Combined values (±1 = one LFO at full depth and intensity)
+   */
+  function sampleModulation(modulation, duration, count) {
+    const combined = new Float32Array(count);
+
+    modulation.lfos.forEach((lfo, index) => {
+      const amount = Math.max(0, lfo.depth) * Math.max(0, modulation.intensity);
+      if (amount === 0) return;
+
+      sampleLfo(lfo, index, 0, duration, count, modulation.seed).forEach((value, i) => {
+        combined[i] += value * amount;
+      });
+    });
+
+    return combined;
+  }
+
+  /**
+   * Reflect a value back into -1..1
+   */
+  function reflect(value) {
+    if (value > 1) return 2 - value;
+    if (value < -1) return -2 - value;
+    return value;
+  }
+
+  /**
+   * Hash an integer step to a repeatable random value
+   * @param {number} step - Step number
+   * @param {number} salt - Varies the sequence
+   * @returns {number} Value from -1 to 1
+   */
+  function hashNoise(step, salt) {
+    let h = Math.imul(step ^ Math.imul(salt, 0x9E3779B1), 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 0xFFFFFFFF * 2 - 1;
+  }
+
+  /**
+   * Check whether a point in the session falls inside a silence block
+   * @param {Array} blocks - Silence blocks ({start, duration} in seconds)
+   * @param {number} seconds - Elapsed session time
+   * @returns {boolean} Is silent
+   */
+  function isSilentAt(blocks, seconds) {
+    return blocks.some(block => seconds >= block.start && seconds < block.start + block.duration);
+  }
+
+  /**
+   * Merge silence blocks into sorted, non-overlapping ranges
+   * @param {Array} blocks - Silence blocks ({start, duration} in seconds)
+   * @returns {Array} Ranges ({start, end} in seconds)
+   */
+  function getSilenceRanges(blocks) {
+    const ranges = [];
+
+    blocks
+      .map(block => ({ start: block.start, end: block.start + block.duration }))
+      .sort((a, b) => a.start - b.start)
+      .forEach(range => {
+        const last = ranges[ranges.length - 1];
+        if (last && range.start <= last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          ranges.push(range);
+        }
+      });
+
+    return ranges;
+  }
+
+  /**
+   * Build the silence gate level as a curve, with the envelope's ramps into
+   * and out of each block (ramps stay inside the block)
+   * @param {Object} profile - Sound profile
+   * @returns {Array} Array of {time, value} points (value 1 = open, 0 = silent)
+   */
+  function getSilenceCurve(profile) {
+    const { duration, envelope } = profile;
+    const points = [{ time: 0, value: 1 }];
+    if (duration <= 0) return points;
+
+    getSilenceRanges(profile.layers.silence.blocks).forEach(range => {
+      const start = Math.max(0, range.start);
+      const end = Math.min(duration, range.end);
+      if (end <= start) return;
+
+      // Ramps longer than the block share it in proportion
+      let release = envelope.silenceRelease;
+      let attack = envelope.silenceAttack;
+      const rampLength = release + attack;
+      if (rampLength > end - start) {
+        release *= (end - start) / rampLength;
+        attack *= (end - start) / rampLength;
+      }
+
+      points.push(
+        { time: start / duration, value: 1 },
+        { time: (start + release) / duration, value: 0 },
+        { time: (end - attack) / duration, value: 0 },
+        { time: end / duration, value: 1 }
+      );
+    });
+
+    points.push({ time: 1, value: 1 });
+    return points;
+  }
+
+  /**
+   * Check whether a profile plays on past its duration until it is stopped
+   * @param {Object} profile - Sound profile
+   * @returns {boolean} The curves loop or hold their last values
+   */
+  function isOpenEnded(profile) {
+    return profile.ending === 'loop' || profile.ending === 'hold';
+  }
+
+  /**
+   * Map elapsed session time to a point on the profile's curves
+   * Open-ended sessions run the curves over and over ('loop') or stay at their end ('hold')
+   * @param {Object} profile - Sound profile
+   * @param {number} elapsed - Elapsed session time in seconds
+   * @returns {number} Seconds into the curves
+   */
+  function getProfilePosition(profile, elapsed) {
+    if (profile.duration <= 0) return 0;
+    if (profile.ending === 'loop') return elapsed % profile.duration;
+    if (profile.ending === 'hold') return Math.min(elapsed, profile.duration);
+    return elapsed;
+  }
+
+  /**
+   * Get how many times a looping profile has run its curves through
+   * @param {Object} profile - Sound profile
+   * @param {number} elapsed - Elapsed session time in seconds
+   * @returns {number} Pass index (always 0 unless the profile loops)
+   */
+  function getProfilePass(profile, elapsed) {
+    if (profile.ending !== 'loop' || profile.duration <= 0) return 0;
+    return Math.floor(elapsed / profile.duration);
+  }
+
+  /**
+   * Build the session fade-in and fade-out as a curve
+   * Fades longer than the session meet where the two ramps cross. An open-ended
+   * session has no fade-out, and only its first pass fades in.
+   * @param {Object} profile - Sound profile
+   * @param {number} pass - Pass through the curves (see getProfilePass)
+   * @returns {Array} Array of {time, value} points (value 1 = full level)
+   */
+  function getEnvelopeCurve(profile, pass = 0) {
+    const { duration, envelope } = profile;
+    if (duration <= 0 || pass > 0) return [{ time: 0, value: 1 }];
+
+    const fadeIn = Math.max(0, Math.min(duration, envelope.fadeIn));
+    const fadeOut = isOpenEnded(profile) ? 0 : Math.max(0, Math.min(duration, envelope.fadeOut));
+
+    if (fadeIn + fadeOut > duration) {
+      const peak = duration / (fadeIn + fadeOut);
+      return [
+        { time: 0, value: fadeIn > 0 ? 0 : peak },
+        { time: fadeIn / (fadeIn + fadeOut), value: peak },
+        { time: 1, value: fadeOut > 0 ? 0 : peak }
+      ];
+    }
+
+    return [
+      { time: 0, value: fadeIn > 0 ? 0 : 1 },
+      { time: fadeIn / duration, value: 1 },
+      { time: 1 - fadeOut / duration, value: 1 },
+      { time: 1, value: fadeOut > 0 ? 0 : 1 }
+    ];
+  }
+
+  /**
+   * Sample a curve at even intervals over a stretch of the session
+   * Used where a parameter follows a mapping that straight ramps would not
+   * @param {Array} curve - Array of {time, value} points
+   * @param {number} duration - Session duration in seconds
+   * @param {number} start - Start of the stretch in seconds
+   * @param {number} end - End of the stretch in seconds
+   * @param {number} count - Number of samples, first at start and last at end
+   * @returns {Float32Array} Curve values
+   */
+  function sampleCurve(curve, duration, start, end, count) {
+    const values = new Float32Array(count);
+    const interval = count > 1 ? (end - start) / (count - 1) : 0;
+
+    for (let i = 0; i < count; i++) {
+      values[i] = interpolateCurve(curve, duration > 0 ? (start + i * interval) / duration : 0);
+    }
+
+    return values;
+  }
+
+  /**
+   * Get the curve points still ahead of a point in the session
+   * Used to schedule ramps on the audio clock
+   * @param {Array} curve - Array of {time, value} points
+   * @param {number} duration - Session duration in seconds
+   * @param {number} elapsed - Elapsed session time in seconds
+   * @returns {Array} Points as {seconds, value}, in order
+   */
+  function getBreakpoints(curve, duration, elapsed) {
+    return (curve || [])
+      .map(point => ({ seconds: point.time * duration, value: point.value }))
+      .filter(point => point.seconds > elapsed && point.seconds <= duration)
+      .sort((a, b) => a.seconds - b.seconds);
+  }
+
+  /**
+   * Evaluate every automated parameter of a profile at a point in the session
+   * @param {Object} profile - Sound profile
+   * @param {number} elapsed - Elapsed session time in seconds
+   * @param {Object} adjustments - Pro Mode adjustments
+   * @returns {Object} Parameter values (progress is the position on the curves)
+   */
+  function getParametersAt(profile, elapsed, adjustments = NO_ADJUSTMENTS) {
+    const { layers } = profile;
+    const position = getProfilePosition(profile, elapsed);
+    const progress = profile.duration > 0 ? Math.min(1, position / profile.duration) : 0;
+
+    const baseValue = interpolateCurve(layers.baseFrequency.curve, progress) + adjustments.frequencyOffset;
+    const textureValue = interpolateCurve(layers.texture.densityMap, progress) + adjustments.textureOffset;
+
+    return {
+      progress,
+      frequency: mapToFrequency(baseValue),
+      ...mapTexture(textureValue),
+      silenceGain: interpolateCurve(getSilenceCurve(profile), progress),
+      envelopeGain: interpolateCurve(getEnvelopeCurve(profile, getProfilePass(profile, elapsed)), progress),
+      binauralBeat: interpolateCurve(layers.binaural.beatCurve, progress),
+      pulseRate: interpolateCurve(layers.isochronic.rateCurve, progress),
+      azimuth: interpolateCurve(layers.spatial.positionCurve, progress),
+      ambienceLevel: interpolateCurve(layers.ambience.levelCurve, progress)
+    };
+  }
+
+  // Public API
+  return {
+    interpolateCurve,
+    mapToFrequency,
+    getLoudnessCompensation,
+    mapTexture,
+    getLfoDepth,
+    sampleLfo,
+    sampleModulation,
+    isSilentAt,
+    getSilenceRanges,
+    getSilenceCurve,
+    isOpenEnded,
+    getProfilePosition,
+    getProfilePass,
+    getEnvelopeCurve,
+    sampleCurve,
+    getBreakpoints,
+    getParametersAt,
+    NO_ADJUSTMENTS
+  };
+})();
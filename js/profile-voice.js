@@ -0,0 +1,1144 @@
+/**
+ * Google Focus Lab - Profile Voice Module
+ * Builds the node graph that plays one sound profile
+ *
+ * A voice works in any BaseAudioContext, so live sessions and offline
+ * rendering share the same graph. All automation is scheduled ahead on the
+ * audio clock, so a voice keeps following its profile while the page is hidden.
+ *
+ * Voice Graph:
+ * OscillatorNode (per tonal voice) → GainNode (Level) → GainNode (Tone) → GainNode (Isochronic Gate) ─┐
+ * AudioBufferSourceNode (Noise) → GainNode (Noise) ─┤
+ * AudioBufferSourceNode (Ambience loop) → GainNode (Ambience) ─┴→ BiquadFilterNode (Texture)
+ * → GainNode (Density) → StereoPannerNode → [PannerNode (HRTF)] → GainNode (Silence Gate) → GainNode (Level)
+ * → GainNode (Session Fade) → GainNode (Transport) → destination
+ *
+ * Binaural layer (bypasses the panner so the ears stay separated):
+ * OscillatorNode (Left) + OscillatorNode (Right) → ChannelMergerNode → GainNode (Binaural) → GainNode (Silence Gate)
+ *
+ * Isochronic layer: a pulse-shaped OscillatorNode (LFO) drives the isochronic gate's gain
+ * Modulation: per LFO, ConstantSourceNodes whose offsets follow the LFO's waveform a chunk each,
+ * → GainNode (Depth) adds to its target (tonal voice detune, filter detune, density, pan or level)
+ * Tonal voice levels follow the base curve for equal-loudness compensation
+ *
+ * Spatial layer: the stereo panner follows the position curve, or in HRTF mode
+ * the PannerNode is patched in and moves the sound around the listener
+ *
+ * Ambience layer: an imported recording (SampleStore) loops under the tone.
+ * Its buffer is loaded in the background the first time a voice needs it.
+ */
+
+const ProfileVoice = (function() {
+  'use strict';
+
+  // Smoothing time constants (seconds)
+  const LAYER_SMOOTHING = 0.1;
+  const PREVIEW_SMOOTHING = 0.05;
+
+  // Curves that are scheduled as sampled value curves
+  // LFO waveforms get this many points per cycle, mapped profile curves this many per second
+  const LFO_POINTS_PER_CYCLE = 16;
+  const CURVE_POINTS_PER_SECOND = 1;
+  const MAX_CURVE_POINTS = 65536;
+
+  // LFO waveforms are scheduled a chunk at a time, so they keep their points per
+  // cycle however long the session is. A live voice keeps this many chunks ahead.
+  const LFO_CHUNK_SECONDS = 60;
+  const LFO_CHUNKS_AHEAD = 2;
+
+  // Output safety limiter
+  const LIMITER_THRESHOLD = -3; // dBFS
+  const LIMITER_ATTACK = 0.002; // Seconds
+  const LIMITER_RELEASE = 0.25; // Seconds
+
+  // HRTF distance falloff (gain halves by about 3 distance units)
+  const SPATIAL_ROLLOFF = 0.5;
+
+  // Short fade when the voice starts or is stopped mid-session (seconds)
+  const TRANSPORT_FADE_SECONDS = 0.3;
+
+  // Stop time that takes a scheduled end away (a source's last stop() call wins)
+  const NO_END = Number.MAX_SAFE_INTEGER;
+
+  // Noise sources for the texture layer
+  // Buffers are generated once per type and sample rate, then looped
+  const NOISE_TYPES = ['white', 'pink', 'brown', 'air'];
+  const NOISE_BUFFER_SECONDS = 4;
+  const NOISE_LOOP_FADE_SECONDS = 0.05;
+  const NOISE_RMS = 0.25;
+  const AIR_NOISE_SCALE = 0.6; // "Air" is deliberately softer than the others
+  const noiseBuffers = {};
+
+  // Binaural beat layer
+  const BINAURAL_MAX_GAIN = 0.5;
+
+  // Isochronic pulse layer
+  // Pulse shapes are built as PeriodicWaves from this many harmonics
+  const PULSE_HARMONICS = 32;
+  const PULSE_TABLE_SIZE = 1024;
+
+  /**
+   * Create a voice in the given context
+   * An offline voice schedules everything up front, since the render runs ahead
+   * of the events a live voice uses to schedule more.
+   * @param {BaseAudioContext} context - Live or offline audio context
+   * @param {AudioNode} destination - Node the voice output connects to
+   * @param {Object} options - { offline }
+   * @returns {Object} Voice
+   */
+  function create(context, destination, { offline = false } = {}) {
+    // Transport gain (de-clicks start, pause and stop)
+    const transportGain = context.createGain();
+    transportGain.gain.value = 0;
+    transportGain.connect(destination);
+
+    // Session fade (profile fade-in and fade-out)
+    const fadeGain = context.createGain();
+    fadeGain.gain.value = 1;
+    fadeGain.connect(transportGain);
+
+    // Silence gate (for silence blocks)
+    const silenceGate = context.createGain();
+    silenceGate.gain.value = 1;
+
+    // Level (modulated output level)
+    const levelGain = context.createGain();
+    levelGain.gain.value = 1;
+    silenceGate.connect(levelGain);
+    levelGain.connect(fadeGain);
+
+    // Stereo panner (spatial position in stereo mode)
+    // In HRTF mode it stays centred and feeds the HRTF panner, created on demand
+    const panner = context.createStereoPanner();
+    panner.pan.value = 0;
+    panner.connect(silenceGate);
+    let spatialPanner = null;
+
+    // Density gain (texture intensity)
+    const densityGain = context.createGain();
+    densityGain.gain.value = 1;
+    densityGain.connect(panner);
+
+    // Biquad filter (texture/roughness)
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1000;
+    filter.Q.value = 1;
+    filter.connect(densityGain);
+
+    // Source mix (tonal voice + noise + ambience) into the texture filter
+    // The tonal voice passes through the isochronic gate first
+    const isochronicGate = context.createGain();
+    isochronicGate.gain.value = 1;
+    isochronicGate.connect(filter);
+
+    const toneGain = context.createGain();
+    toneGain.gain.value = 1;
+    toneGain.connect(isochronicGate);
+
+    // Pitch modulation (cents), summed and added to every tonal voice's detune
+    const pitchModulation = context.createGain();
+    pitchModulation.gain.value = 1;
+
+    const noiseGain = context.createGain();
+    noiseGain.gain.value = 0;
+    noiseGain.connect(filter);
+
+    const ambienceGain = context.createGain();
+    ambienceGain.gain.value = 0;
+    ambienceGain.connect(filter);
+
+    // Binaural pair goes straight to the silence gate, skipping the panner
+    const binauralGain = context.createGain();
+    binauralGain.gain.value = 0;
+    binauralGain.connect(silenceGate);
+
+    const binauralMerger = context.createChannelMerger(2);
+    binauralMerger.connect(binauralGain);
+
+    // Sources, created on start
+    // Tonal voices are { oscillator, level } pairs, one per profile voice
+    // Modulators are one per modulation LFO: { lfo, index, depth, sources, from, when, length, next },
+    // with the chunk sources scheduled and not yet ended as { source, end (of the chunk) } and
+    // the next chunk's number
+    let tones = [];
+    let modulators = [];
+    let noiseSource = null;
+    let noiseType = 'none';
+    let ambienceSource = null;
+    let binauralLeft = null;
+    let binauralRight = null;
+    let pulseLfo = null;
+    let profile = null;
+    let endTime = null;
+    let lastTiming = null;
+
+    /**
+     * Start the sources for a profile
+     * Call schedule() afterwards to set the parameter automation
+     * @param {Object} voiceProfile - Sound profile
+     * @param {number} when - Context time to start at
+     */
+    function start(voiceProfile, when = context.currentTime) {
+      stop();
+      profile = voiceProfile;
+
+      transportGain.gain.cancelScheduledValues(when);
+      transportGain.gain.setValueAtTime(0, when);
+      transportGain.gain.linearRampToValueAtTime(1, when + TRANSPORT_FADE_SECONDS);
+
+      syncTones(when);
+    }
+
+    /**
+     * Add or remove tonal voices to match the profile and set their detune
+     * Frequencies and levels are scheduled by schedule()
+     */
+    function syncTones(when) {
+      const voices = profile.layers.baseFrequency.voices;
+
+      while (tones.length > voices.length) {
+        const tone = tones.pop();
+        pitchModulation.disconnect(tone.oscillator.detune);
+        releaseSource(tone.oscillator, context.currentTime, tone.level);
+      }
+
+      while (tones.length < voices.length) {
+        const oscillator = context.createOscillator();
+        const level = context.createGain();
+        level.gain.value = voices[tones.length].level;
+        oscillator.type = 'sine';
+        oscillator.connect(level);
+        level.connect(toneGain);
+        pitchModulation.connect(oscillator.detune);
+        startSource(oscillator, when);
+        tones.push({ oscillator, level });
+      }
+
+      voices.forEach((voice, index) => {
+        tones[index].oscillator.detune.setValueAtTime(voice.detune, when);
+      });
+
+      // Keep the stacked voices at the level of a single full voice
+      const totalLevel = voices.reduce((sum, voice) => sum + voice.level, 0);
+      toneGain.gain.setTargetAtTime(1 / Math.max(1, totalLevel), when, LAYER_SMOOTHING);
+    }
+
+    /**
+     * Start a source node, honouring a scheduled end
+     */
+    function startSource(source, when, offset = 0) {
+      source.start(when, offset);
+      if (endTime !== null) {
+        source.stop(endTime);
+      }
+    }
+
+    /**
+     * Stop and release the sources
+     * @param {boolean} fade - Fade out briefly instead of cutting off
+     */
+    function stop(fade = false) {
+      const now = context.currentTime;
+      const stopTime = fade ? now + TRANSPORT_FADE_SECONDS : now;
+      endTime = null;
+
+      if (fade && tones.length > 0) {
+        const gain = transportGain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, stopTime);
+      }
+
+      tones.forEach(tone => releaseSource(tone.oscillator, stopTime, tone.level));
+      modulators.forEach(modulator => releaseModulator(modulator, stopTime));
+
+      [noiseSource, ambienceSource, binauralLeft, binauralRight, pulseLfo].forEach(source => {
+        if (source) {
+          releaseSource(source, stopTime);
+        }
+      });
+
+      tones = [];
+      modulators = [];
+      noiseSource = null;
+      ambienceSource = null;
+      binauralLeft = null;
+      binauralRight = null;
+      pulseLfo = null;
+      pitchModulation.disconnect();
+    }
+
+    /**
+     * Stop a source node and disconnect it (and any nodes it alone feeds) once it has stopped
+     */
+    function releaseSource(source, time, ...nodes) {
+      const disconnect = () => [source, ...nodes].forEach(node => node.disconnect());
+
+      if (time <= context.currentTime) {
+        source.onended = null;
+        source.stop();
+        disconnect();
+      } else {
+        source.onended = disconnect;
+        source.stop(time);
+      }
+    }
+
+    /**
+     * Schedule the sources to stop at a context time, or take a scheduled end away
+     * The end can be moved while the voice plays. Call it before schedule(), so
+     * the modulation chunks are scheduled up to the new end.
+     * @param {number|null} time - Context time to stop at, or null to play on
+     * @param {Function} onEnded - Called once the voice has stopped
+     */
+    function stopAt(time, onEnded = null) {
+      if (tones.length === 0) return;
+
+      endTime = time;
+      const stopTime = time ?? NO_END;
+      [...tones.map(tone => tone.oscillator), noiseSource, ambienceSource, binauralLeft, binauralRight, pulseLfo]
+        .forEach(source => {
+          if (source) {
+            source.stop(stopTime);
+          }
+        });
+      modulators.forEach(modulator => {
+        modulator.sources.forEach(({ source, end }) => source.stop(Math.min(stopTime, end)));
+      });
+      tones[0].oscillator.onended = time !== null ? onEnded : null;
+    }
+
+    /**
+     * Schedule the whole profile's automation on the audio clock
+     * Replaces anything scheduled from `when` on, so it is called again after
+     * a seek or an edit. Optional layers are started or stopped to match.
+     * An open-ended session is scheduled up to the end of the current pass
+     * only, and must be scheduled again from there.
+     * @param {number} elapsed - Session position in seconds that plays at `when`
+     * @param {number} when - Context time
+     * @param {Object} adjustments - Pro Mode adjustments
+     * @returns {number} Seconds scheduled from `when` (0 when nothing is left)
+     */
+    function schedule(elapsed, when = context.currentTime, adjustments = ProfileAutomation.NO_ADJUSTMENTS) {
+      if (tones.length === 0) return 0;
+
+      const { layers } = profile;
+      const params = ProfileAutomation.getParametersAt(profile, elapsed, adjustments);
+      const timing = getTiming(elapsed, when);
+      lastTiming = timing;
+
+      setNoise(layers.texture.noiseType, layers.texture.noiseLevel, when);
+      syncAmbience(timing);
+      syncBinaural(when);
+      syncIsochronic(when);
+
+      // Base frequency: the perceptual mapping is exponential, so exponential ramps follow it exactly
+      // Levels follow the frequency to keep the loudness even
+      syncTones(when);
+      const frequencyAt = value => ProfileAutomation.mapToFrequency(value + adjustments.frequencyOffset);
+      layers.baseFrequency.voices.forEach(({ ratio, level }, index) => {
+        scheduleCurve(tones[index].oscillator.frequency, layers.baseFrequency.curve, params.frequency * ratio, timing,
+          value => frequencyAt(value) * ratio, true);
+        scheduleSampledCurve(tones[index].level.gain, layers.baseFrequency.curve, timing,
+          value => level * ProfileAutomation.getLoudnessCompensation(frequencyAt(value) * ratio));
+      });
+
+      // Texture: filter frequency and Q are linear in the texture value
+      // Density is not, it is compensated for the filter's resonant boost
+      const textureAt = value => ProfileAutomation.mapTexture(value + adjustments.textureOffset);
+      scheduleCurve(filter.frequency, layers.texture.densityMap, params.filterFrequency, timing,
+        value => textureAt(value).filterFrequency);
+      scheduleCurve(filter.Q, layers.texture.densityMap, params.filterQ, timing,
+        value => textureAt(value).filterQ);
+      scheduleSampledCurve(densityGain.gain, layers.texture.densityMap, timing,
+        value => textureAt(value).density);
+
+      syncModulation(timing, adjustments.modulationOffset);
+
+      syncSpatial(timing);
+
+      // Silence blocks and the session fades
+      scheduleCurve(silenceGate.gain, ProfileAutomation.getSilenceCurve(profile), params.silenceGain, timing,
+        value => value);
+      const pass = ProfileAutomation.getProfilePass(profile, elapsed);
+      scheduleCurve(fadeGain.gain, ProfileAutomation.getEnvelopeCurve(profile, pass), params.envelopeGain, timing,
+        value => value);
+
+      if (binauralLeft) {
+        const carrier = layers.binaural.carrier;
+        scheduleCurve(binauralLeft.frequency, layers.binaural.beatCurve, carrier - params.binauralBeat / 2, timing,
+          value => carrier - clampBeat(value) / 2);
+        scheduleCurve(binauralRight.frequency, layers.binaural.beatCurve, carrier + params.binauralBeat / 2, timing,
+          value => carrier + clampBeat(value) / 2);
+      }
+
+      if (pulseLfo) {
+        scheduleCurve(pulseLfo.frequency, layers.isochronic.rateCurve, clampRate(params.pulseRate), timing, clampRate);
+      }
+
+      return timing.length;
+    }
+
+    /**
+     * Work out where a session position falls on the profile's curves
+     * @param {number} elapsed - Session position in seconds
+     * @param {number} when - Context time it plays at
+     * @returns {Object} Timing: { elapsed, position, when, duration, length }, with the
+     *   position in seconds into the curves and the length to schedule from `when`
+     */
+    function getTiming(elapsed, when) {
+      const { duration } = profile;
+      const position = ProfileAutomation.getProfilePosition(profile, elapsed);
+      const remaining = Math.max(0, duration - position);
+
+      // A held session goes on a period at a time once its curves have ended
+      const length = ProfileAutomation.isOpenEnded(profile) && remaining === 0 ? duration : remaining;
+      return { elapsed, position, when, duration, length };
+    }
+
+    /**
+     * Restart the modulation LFOs from a session position
+     * Each LFO's waveform is scheduled over the timing's length in chunks of
+     * value curves (see scheduleLfoChunk()). LFOs run on session time, so they
+     * do not restart when the curves loop.
+     * @param {Object} timing - See getTiming()
+     * @param {number} intensityOffset - Pro Mode intensity offset
+     */
+    function syncModulation(timing, intensityOffset) {
+      const { elapsed, when, length } = timing;
+      const { lfos, intensity } = profile.layers.modulation;
+
+      modulators.forEach(modulator => releaseModulator(modulator, context.currentTime));
+      modulators = [];
+      if (length <= 0) return;
+
+      lfos.forEach((lfo, index) => {
+        const amount = ProfileAutomation.getLfoDepth(lfo, intensity + intensityOffset);
+        if (amount === 0) return;
+
+        // Turning the spatial layer off keeps the sound still
+        if (lfo.target === 'pan' && !profile.layers.spatial.enabled) return;
+
+        const depth = context.createGain();
+        depth.gain.value = amount;
+        depth.connect(getModulationTarget(lfo.target));
+
+        const modulator = { lfo, index, depth, sources: [], from: elapsed, when, length, next: 0 };
+        modulators.push(modulator);
+
+        const chunks = offline ? Infinity : LFO_CHUNKS_AHEAD;
+        for (let i = 0; i < chunks && scheduleLfoChunk(modulator); i++);
+      });
+    }
+
+    /**
+     * Schedule a modulator's next chunk of waveform on a source of its own
+     * Chunks follow each other on the audio clock. In a live voice, each chunk
+     * that ends schedules another, keeping LFO_CHUNKS_AHEAD chunks ahead.
+     * @param {Object} modulator - Modulator (see syncModulation())
+     * @returns {boolean} Whether a chunk was scheduled (false past the length or the voice's end)
+     */
+    function scheduleLfoChunk(modulator) {
+      const { lfo, index, depth, from, when, length } = modulator;
+      const offset = modulator.next * LFO_CHUNK_SECONDS;
+      const start = when + offset;
+      if (offset >= length || (endTime !== null && start >= endTime)) return false;
+
+      modulator.next++;
+      const chunk = Math.min(LFO_CHUNK_SECONDS, length - offset);
+      const end = start + chunk;
+      const count = getCurvePointCount(chunk * lfo.rate * LFO_POINTS_PER_CYCLE);
+
+      const source = context.createConstantSource();
+      source.offset.setValueCurveAtTime(
+        ProfileAutomation.sampleLfo(lfo, index, from + offset, from + offset + chunk, count, profile.layers.modulation.seed),
+        start,
+        chunk
+      );
+      source.connect(depth);
+      source.start(start);
+      source.stop(endTime !== null ? Math.min(endTime, end) : end);
+
+      const entry = { source, end };
+      modulator.sources.push(entry);
+      source.onended = () => {
+        source.disconnect();
+        modulator.sources.splice(modulator.sources.indexOf(entry), 1);
+        if (!offline) {
+          scheduleLfoChunk(modulator);
+        }
+      };
+
+      return true;
+    }
+
+    /**
+     * Stop a modulator's chunk sources and disconnect it once they have stopped
+     * @param {Object} modulator - Modulator (see syncModulation())
+     * @param {number} time - Context time to stop at
+     */
+    function releaseModulator({ sources, depth }, time) {
+      if (sources.length === 0) {
+        depth.disconnect();
+        return;
+      }
+
+      // The last chunk stops last, so it takes the depth gain with it
+      sources.forEach(({ source, end }, i) => {
+        releaseSource(source, Math.min(time, end), ...(i === sources.length - 1 ? [depth] : []));
+      });
+    }
+
+    /**
+     * Place the sound along the spatial layer's position curve
+     * @param {Object} timing - See getTiming()
+     */
+    function syncSpatial(timing) {
+      const { enabled, mode, positionCurve, distance } = profile.layers.spatial;
+      const hrtf = enabled && mode === 'hrtf';
+      setSpatialRouting(hrtf);
+
+      if (!enabled || hrtf) {
+        panner.pan.cancelScheduledValues(timing.when);
+        panner.pan.setValueAtTime(0, timing.when);
+      }
+
+      if (hrtf) {
+        const radius = clampDistance(distance);
+        scheduleSampledCurve(spatialPanner.positionX, positionCurve, timing, azimuth => Math.sin(toRadians(azimuth)) * radius);
+        scheduleSampledCurve(spatialPanner.positionZ, positionCurve, timing, azimuth => -Math.cos(toRadians(azimuth)) * radius);
+      } else if (enabled) {
+        scheduleSampledCurve(panner.pan, positionCurve, timing, azimuth => Math.sin(toRadians(azimuth)));
+      }
+    }
+
+    /**
+     * Patch the HRTF panner in after the stereo panner, or take it out
+     * @param {boolean} hrtf - Use the HRTF panner
+     */
+    function setSpatialRouting(hrtf) {
+      if (hrtf === (spatialPanner !== null)) return;
+
+      panner.disconnect();
+
+      if (hrtf) {
+        spatialPanner = context.createPanner();
+        spatialPanner.panningModel = 'HRTF';
+        spatialPanner.distanceModel = 'inverse';
+        spatialPanner.refDistance = 1;
+        spatialPanner.rolloffFactor = SPATIAL_ROLLOFF;
+        panner.connect(spatialPanner);
+        spatialPanner.connect(silenceGate);
+      } else {
+        spatialPanner.disconnect();
+        spatialPanner = null;
+        panner.connect(silenceGate);
+      }
+    }
+
+    /**
+     * Get the node or parameter a modulation target adds to
+     * @param {string} target - 'pitch', 'filter', 'density', 'pan' or 'level'
+     * @returns {AudioNode|AudioParam} Destination for the LFO's depth gain
+     */
+    function getModulationTarget(target) {
+      switch (target) {
+        case 'filter':
+          return filter.detune;
+        case 'density':
+          return densityGain.gain;
+        case 'pan':
+          return panner.pan;
+        case 'level':
+          return levelGain.gain;
+        default: // pitch
+          return pitchModulation;
+      }
+    }
+
+    /**
+     * Replace a parameter's automation with ramps through a curve's remaining points
+     * @param {AudioParam} param - Parameter to automate
+     * @param {Array} curve - Array of {time, value} points
+     * @param {number} startValue - Parameter value at the start position
+     * @param {Object} timing - See getTiming()
+     * @param {Function} mapValue - Maps a curve value to a parameter value
+     * @param {boolean} exponential - Use exponential instead of linear ramps
+     */
+    function scheduleCurve(param, curve, startValue, timing, mapValue, exponential = false) {
+      const { position, when, duration } = timing;
+
+      param.cancelScheduledValues(when);
+      param.setValueAtTime(startValue, when);
+
+      ProfileAutomation.getBreakpoints(curve, duration, position).forEach(point => {
+        const time = when + point.seconds - position;
+        if (exponential) {
+          param.exponentialRampToValueAtTime(mapValue(point.value), time);
+        } else {
+          param.linearRampToValueAtTime(mapValue(point.value), time);
+        }
+      });
+    }
+
+    /**
+     * Replace a parameter's automation with a curve sampled over the rest of the session
+     * Used where the mapping is not a straight line between the curve's points
+     * @param {AudioParam} param - Parameter to automate
+     * @param {Array} curve - Array of {time, value} points
+     * @param {Object} timing - See getTiming()
+     * @param {Function} mapValue - Maps a curve value to a parameter value
+     */
+    function scheduleSampledCurve(param, curve, timing, mapValue) {
+      const { position, when, duration } = timing;
+      const remaining = duration - position;
+
+      param.cancelScheduledValues(when);
+
+      if (remaining <= 0) {
+        param.setValueAtTime(mapValue(ProfileAutomation.interpolateCurve(curve, 1)), when);
+        return;
+      }
+
+      const count = getCurvePointCount(remaining * CURVE_POINTS_PER_SECOND);
+      const values = ProfileAutomation.sampleCurve(curve, duration, position, duration, count).map(mapValue);
+      param.setValueCurveAtTime(values, when, remaining);
+    }
+
+    /**
+     * Glide a parameter to a value (used for editor previews)
+     */
+    function glideParam(param, value, time = context.currentTime) {
+      param.cancelScheduledValues(time);
+      param.setTargetAtTime(value, time, PREVIEW_SMOOTHING);
+    }
+
+    /**
+     * Hold the session fades and silence gate open (used for editor previews)
+     */
+    function bypassEnvelope() {
+      [fadeGain.gain, silenceGate.gain].forEach(gain => {
+        gain.cancelScheduledValues(context.currentTime);
+        gain.setValueAtTime(1, context.currentTime);
+      });
+    }
+
+    /**
+     * Set the base frequency of the tonal voices (preview)
+     * @param {number} frequency - Frequency in Hz
+     */
+    function setFrequency(frequency) {
+      profile.layers.baseFrequency.voices.forEach(({ ratio, level }, index) => {
+        if (tones[index]) {
+          glideParam(tones[index].oscillator.frequency, frequency * ratio);
+          glideParam(tones[index].level.gain, level * ProfileAutomation.getLoudnessCompensation(frequency * ratio));
+        }
+      });
+    }
+
+    /**
+     * Set the spatial position (preview)
+     * @param {number} azimuth - Azimuth in degrees
+     */
+    function setPosition(azimuth) {
+      const { enabled, distance } = profile.layers.spatial;
+      if (!enabled) return;
+
+      if (spatialPanner) {
+        glideParam(spatialPanner.positionX, Math.sin(toRadians(azimuth)) * clampDistance(distance));
+        glideParam(spatialPanner.positionZ, -Math.cos(toRadians(azimuth)) * clampDistance(distance));
+      } else {
+        glideParam(panner.pan, Math.sin(toRadians(azimuth)));
+      }
+    }
+
+    /**
+     * Set the texture filter and density (preview)
+     * @param {Object} texture - { filterFrequency, filterQ, density } (ProfileAutomation.mapTexture)
+     */
+    function setTexture(texture) {
+      glideParam(filter.frequency, texture.filterFrequency);
+      glideParam(filter.Q, texture.filterQ);
+      glideParam(densityGain.gain, texture.density);
+    }
+
+    /**
+     * Select the noise source mixed into the texture filter
+     * @param {string} type - Noise type ('none', 'white', 'pink', 'brown', 'air')
+     * @param {number} level - Noise mix level (0-1)
+     */
+    function setNoise(type, level, when = context.currentTime) {
+      if (!NOISE_TYPES.includes(type)) {
+        stopNoise();
+        noiseGain.gain.setTargetAtTime(0, when, 0.05);
+        return;
+      }
+
+      // Only restart the source when the noise color changes
+      if (!noiseSource || type !== noiseType) {
+        stopNoise();
+        noiseSource = context.createBufferSource();
+        noiseSource.buffer = getNoiseBuffer(type, context);
+        noiseSource.loop = true;
+        noiseSource.connect(noiseGain);
+        startSource(noiseSource, when);
+        noiseType = type;
+      }
+
+      const normalizedLevel = Math.max(0, Math.min(1, level ?? 0.5));
+      noiseGain.gain.setTargetAtTime(normalizedLevel, when, 0.05);
+    }
+
+    /**
+     * Stop and release the noise source
+     */
+    function stopNoise() {
+      if (noiseSource) {
+        noiseSource.stop();
+        noiseSource.disconnect();
+        noiseSource = null;
+      }
+    }
+
+    /**
+     * Start or stop the ambience loop to match the profile and schedule its level
+     * A sample that is not loaded yet is loaded in the background and joins
+     * where the session has got to by then; a missing sample stays silent.
+     * @param {Object} timing - See getTiming()
+     */
+    function syncAmbience(timing) {
+      const { enabled, sampleId, levelCurve } = profile.layers.ambience;
+      const buffer = enabled && sampleId ? SampleStore.getLoopBuffer(sampleId, context) : null;
+
+      if (!buffer) {
+        stopAmbience(timing.when);
+        if (enabled && sampleId) {
+          loadAmbience(sampleId);
+        }
+        return;
+      }
+
+      // Only restart the loop when the recording changes
+      if (!ambienceSource || ambienceSource.buffer !== buffer) {
+        stopAmbience(timing.when);
+        ambienceSource = context.createBufferSource();
+        ambienceSource.buffer = buffer;
+        ambienceSource.loop = true;
+        ambienceSource.connect(ambienceGain);
+        startSource(ambienceSource, timing.when, timing.elapsed % buffer.duration);
+      }
+
+      const { ambienceLevel } = ProfileAutomation.getParametersAt(profile, timing.elapsed);
+      scheduleCurve(ambienceGain.gain, levelCurve, clampLevel(ambienceLevel), timing, clampLevel);
+    }
+
+    /**
+     * Load an ambience sample, then pick it up if the voice still wants it
+     * @param {string} sampleId - Sample ID
+     */
+    function loadAmbience(sampleId) {
+      SampleStore.loadLoopBuffer(sampleId, context).then(buffer => {
+        if (!buffer || tones.length === 0) return;
+
+        const { enabled, sampleId: currentId } = profile.layers.ambience;
+        if (!enabled || currentId !== sampleId) return;
+
+        const when = context.currentTime;
+        syncAmbience(getTiming(lastTiming.elapsed + Math.max(0, when - lastTiming.when), when));
+      });
+    }
+
+    /**
+     * Stop the ambience loop and silence its gain
+     */
+    function stopAmbience(when = context.currentTime) {
+      if (ambienceSource) {
+        ambienceSource.stop();
+        ambienceSource.disconnect();
+        ambienceSource = null;
+      }
+
+      ambienceGain.gain.cancelScheduledValues(when);
+      ambienceGain.gain.setTargetAtTime(0, when, 0.05);
+    }
+
+    /**
+     * Set the ambience level (preview)
+     * @param {number} level - Level (0-1)
+     */
+    function setAmbienceLevel(level) {
+      if (!ambienceSource) return;
+      glideParam(ambienceGain.gain, clampLevel(level));
+    }
+
+    /**
+     * Start or stop the binaural pair to match the profile
+     */
+    function syncBinaural(when) {
+      const binaural = profile.layers.binaural;
+
+      if (!binaural.enabled) {
+        stopBinaural(when);
+        return;
+      }
+
+      if (!binauralLeft) {
+        binauralLeft = context.createOscillator();
+        binauralRight = context.createOscillator();
+        binauralLeft.type = 'sine';
+        binauralRight.type = 'sine';
+        binauralLeft.connect(binauralMerger, 0, 0);
+        binauralRight.connect(binauralMerger, 0, 1);
+        startSource(binauralLeft, when);
+        startSource(binauralRight, when);
+      }
+
+      const mix = Math.max(0, Math.min(1, binaural.mix));
+      binauralGain.gain.setTargetAtTime(mix * BINAURAL_MAX_GAIN, when, LAYER_SMOOTHING);
+    }
+
+    function stopBinaural(when = context.currentTime) {
+      if (binauralLeft) {
+        binauralLeft.stop();
+        binauralLeft.disconnect();
+        binauralRight.stop();
+        binauralRight.disconnect();
+        binauralLeft = null;
+        binauralRight = null;
+      }
+
+      binauralGain.gain.setTargetAtTime(0, when, 0.05);
+    }
+
+    /**
+     * Set the beat frequency of the binaural pair around the carrier (preview)
+     * @param {number} beat - Beat frequency in Hz
+     */
+    function setBinauralBeat(beat) {
+      if (!binauralLeft) return;
+
+      const carrier = profile.layers.binaural.carrier;
+      glideParam(binauralLeft.frequency, carrier - clampBeat(beat) / 2);
+      glideParam(binauralRight.frequency, carrier + clampBeat(beat) / 2);
+    }
+
+    /**
+     * Start or stop the isochronic pulse to match the profile
+     */
+    function syncIsochronic(when) {
+      const isochronic = profile.layers.isochronic;
+
+      if (!isochronic.enabled) {
+        stopIsochronic(when);
+        return;
+      }
+
+      const { wave, mean } = createPulseWave(context, isochronic.shape, isochronic.duty);
+
+      if (!pulseLfo) {
+        pulseLfo = context.createOscillator();
+        pulseLfo.connect(isochronicGate.gain);
+        startSource(pulseLfo, when);
+      }
+
+      // The wave carries the zero-mean part of the pulse; the gate's own gain supplies the rest
+      pulseLfo.setPeriodicWave(wave);
+      isochronicGate.gain.setTargetAtTime(mean, when, 0.02);
+    }
+
+    function stopIsochronic(when = context.currentTime) {
+      if (pulseLfo) {
+        pulseLfo.stop();
+        pulseLfo.disconnect();
+        pulseLfo = null;
+      }
+
+      isochronicGate.gain.setTargetAtTime(1, when, 0.02);
+    }
+
+    /**
+     * Set the isochronic pulse rate (preview)
+     * @param {number} rate - Pulse rate in Hz
+     */
+    function setPulseRate(rate) {
+      if (!pulseLfo) return;
+      glideParam(pulseLfo.frequency, clampRate(rate));
+    }
+
+    /**
+     * Point the voice at an edited or different profile without restarting it
+     * Call schedule() afterwards to pick up the changes
+     * @param {Object} voiceProfile - Sound profile
+     */
+    function setProfile(voiceProfile) {
+      profile = voiceProfile;
+    }
+
+    /**
+     * Stop the sources and detach the voice from its destination
+     */
+    function dispose() {
+      stop();
+      transportGain.disconnect();
+    }
+
+    return {
+      start,
+      stop,
+      stopAt,
+      schedule,
+      bypassEnvelope,
+      setFrequency,
+      setTexture,
+      setNoise,
+      setAmbienceLevel,
+      setBinauralBeat,
+      setPulseRate,
+      setPosition,
+      setProfile,
+      dispose,
+      isActive: () => tones.length > 0
+    };
+  }
+
+  /**
+   * Estimate the RMS level a voice outputs at a point in the session
+   * Sources are treated as uncorrelated; the texture filter's cut is ignored,
+   * so the estimate leans high.
+   * @param {Object} profile - Sound profile
+   * @param {number} elapsed - Elapsed session time in seconds
+   * @returns {number} RMS level relative to full scale (before the master gain)
+   */
+  function estimateLevel(profile, elapsed) {
+    const { layers } = profile;
+    const params = ProfileAutomation.getParametersAt(profile, elapsed);
+    const voices = layers.baseFrequency.voices;
+
+    // Tonal voices, as in syncTones() and schedule()
+    const totalLevel = voices.reduce((sum, voice) => sum + voice.level, 0);
+    const tonePower = voices.reduce((sum, voice) => {
+      const amplitude = voice.level * ProfileAutomation.getLoudnessCompensation(params.frequency * voice.ratio);
+      return sum + Math.pow(amplitude * Math.SQRT1_2, 2);
+    }, 0) / Math.pow(Math.max(1, totalLevel), 2);
+
+    const { noiseType, noiseLevel } = layers.texture;
+    const noiseRms = NOISE_TYPES.includes(noiseType) ? Math.max(0, Math.min(1, noiseLevel ?? 0.5)) * NOISE_RMS : 0;
+
+    const ambience = layers.ambience;
+    const ambienceRms = ambience.enabled && ambience.sampleId ? clampLevel(params.ambienceLevel) * SampleStore.SAMPLE_RMS : 0;
+
+    const binaural = layers.binaural;
+    const binauralRms = binaural.enabled ? Math.max(0, Math.min(1, binaural.mix)) * BINAURAL_MAX_GAIN * Math.SQRT1_2 : 0;
+
+    const sourcePower = (tonePower + noiseRms * noiseRms + ambienceRms * ambienceRms) * params.density * params.density;
+    return Math.sqrt(sourcePower + binauralRms * binauralRms) * params.silenceGain * params.envelopeGain;
+  }
+
+  /**
+   * Create the safety limiter that sits before the destination
+   * Catches peaks from stacked layers or a resonant filter before they reach the ears
+   * @param {BaseAudioContext} context - Live or offline audio context
+   * @returns {DynamicsCompressorNode} Limiter
+   */
+  function createLimiter(context) {
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = LIMITER_THRESHOLD;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = LIMITER_ATTACK;
+    limiter.release.value = LIMITER_RELEASE;
+    return limiter;
+  }
+
+  /**
+   * Get the number of points for a sampled value curve
+   * @param {number} points - Points wanted
+   * @returns {number} Points to use (at least 2, at most MAX_CURVE_POINTS)
+   */
+  function getCurvePointCount(points) {
+    return Math.max(2, Math.min(MAX_CURVE_POINTS, Math.ceil(points) + 1));
+  }
+
+  function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+  }
+
+  function clampDistance(distance) {
+    const { min, max } = DataModel.SPATIAL_DISTANCE_RANGE;
+    return Math.max(min, Math.min(max, distance));
+  }
+
+  function clampBeat(beat) {
+    const { min, max } = DataModel.BINAURAL_BEAT_RANGE;
+    return Math.max(min, Math.min(max, beat));
+  }
+
+  function clampLevel(level) {
+    return Math.max(0, Math.min(1, level));
+  }
+
+  function clampRate(rate) {
+    const { min, max } = DataModel.ISOCHRONIC_RATE_RANGE;
+    return Math.max(min, Math.min(max, rate));
+  }
+
+  /**
+   * Get (or generate) a seamlessly looping noise buffer
+   * @param {string} type - Noise type
+   * @param {BaseAudioContext} context - Context used to allocate the buffer
+   * @returns {AudioBuffer} Mono noise buffer
+   */
+  function getNoiseBuffer(type, context) {
+    const key = `${type}-${context.sampleRate}`;
+    if (noiseBuffers[key]) return noiseBuffers[key];
+
+    const length = Math.floor(NOISE_BUFFER_SECONDS * context.sampleRate);
+    const fadeLength = Math.floor(NOISE_LOOP_FADE_SECONDS * context.sampleRate);
+    const samples = generateNoise(type, length + fadeLength);
+
+    // Blend the overrun into the head so the loop point is continuous
+    for (let i = 0; i < fadeLength; i++) {
+      const t = i / fadeLength;
+      samples[i] = samples[i] * t + samples[length + i] * (1 - t);
+    }
+
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    buffer.getChannelData(0).set(samples.subarray(0, length));
+    noiseBuffers[key] = buffer;
+    return buffer;
+  }
+
+  /**
+   * Generate noise samples normalized to a common RMS level
+   * @param {string} type - Noise type
+   * @param {number} length - Number of samples
+   * @returns {Float32Array} Samples
+   */
+  function generateNoise(type, length) {
+    const samples = new Float32Array(length);
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    let smooth = 0;
+    let slow = 0;
+
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+
+      switch (type) {
+        case 'pink':
+          // Paul Kellet's refined pink noise filter
+          b0 = 0.99886 * b0 + white * 0.0555179;
+          b1 = 0.99332 * b1 + white * 0.0750759;
+          b2 = 0.96900 * b2 + white * 0.1538520;
+          b3 = 0.86650 * b3 + white * 0.3104856;
+          b4 = 0.55000 * b4 + white * 0.5329522;
+          b5 = -0.7616 * b5 - white * 0.0168980;
+          samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+          b6 = white * 0.115926;
+          break;
+
+        case 'brown':
+          // Leaky integrator keeps the random walk from drifting
+          smooth = (smooth + 0.02 * white) / 1.02;
+          samples[i] = smooth;
+          break;
+
+        case 'air':
+          // Band of soft hiss: gently lowpassed white minus its slow drift
+          smooth += 0.35 * (white - smooth);
+          slow += 0.02 * (smooth - slow);
+          samples[i] = smooth - slow;
+          break;
+
+        default: // white
+          samples[i] = white;
+      }
+    }
+
+    let sumSquares = 0;
+    for (let i = 0; i < length; i++) {
+      sumSquares += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sumSquares / length) || 1;
+    const scale = (NOISE_RMS / rms) * (type === 'air' ? AIR_NOISE_SCALE : 1);
+    for (let i = 0; i < length; i++) {
+      samples[i] *= scale;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Build a PeriodicWave for one isochronic pulse
+   * The pulse runs from 0 (silent) to 1 (full tone). PeriodicWave drops the DC
+   * term, so the mean is returned separately for the gate's base gain.
+   * @param {BaseAudioContext} context - Audio context
+   * @param {string} shape - 'square', 'soft' or 'sine'
+   * @param {number} duty - Fraction of the period the tone is audible (0-1)
+   * @returns {Object} { wave, mean }
+   */
+  function createPulseWave(context, shape, duty) {
+    const d = Math.max(0.05, Math.min(1, duty));
+    const table = new Float32Array(PULSE_TABLE_SIZE);
+    let mean = 0;
+
+    for (let n = 0; n < PULSE_TABLE_SIZE; n++) {
+      const phase = n / PULSE_TABLE_SIZE;
+      let value = 0;
+
+      if (phase < d) {
+        const onPhase = phase / d;
+        switch (shape) {
+          case 'square':
+            value = 1;
+            break;
+          case 'sine':
+            value = 0.5 - 0.5 * Math.cos(2 * Math.PI * onPhase);
+            break;
+          default: { // soft: flat top with raised-cosine edges
+            const edge = 0.25;
+            if (onPhase < edge) {
+              value = 0.5 - 0.5 * Math.cos(Math.PI * onPhase / edge);
+            } else if (onPhase > 1 - edge) {
+              value = 0.5 - 0.5 * Math.cos(Math.PI * (1 - onPhase) / edge);
+            } else {
+              value = 1;
+            }
+          }
+        }
+      }
+
+      table[n] = value;
+      mean += value / PULSE_TABLE_SIZE;
+    }
+
+    const real = new Float32Array(PULSE_HARMONICS + 1);
+    const imag = new Float32Array(PULSE_HARMONICS + 1);
+
+    for (let k = 1; k <= PULSE_HARMONICS; k++) {
+      let a = 0;
+      let b = 0;
+      for (let n = 0; n < PULSE_TABLE_SIZE; n++) {
+        const angle = 2 * Math.PI * k * n / PULSE_TABLE_SIZE;
+        a += table[n] * Math.cos(angle);
+        b += table[n] * Math.sin(angle);
+      }
+
+      // Lanczos sigma factor tames ringing on hard edges
+      const x = Math.PI * k / (PULSE_HARMONICS + 1);
+      const sigma = Math.sin(x) / x;
+      real[k] = (2 / PULSE_TABLE_SIZE) * a * sigma;
+      imag[k] = (2 / PULSE_TABLE_SIZE) * b * sigma;
+    }
+
+    const wave = context.createPeriodicWave(real, imag, { disableNormalization: true });
+    return { wave, mean };
+  }
+
+  // Public API
+  return {
+    create,
+    createLimiter,
+    estimateLevel
+  };
+})();
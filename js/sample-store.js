@@ -0,0 +1,347 @@
+/**
+ * Google Focus Lab - Sample Store Module
+ * Keeps imported ambience recordings offline in IndexedDB
+ *
+ * The imported file is stored as it was chosen (the encoded bytes, not the
+ * decoded audio), with its metadata in a separate store so the list can be
+ * read without loading every recording. Profiles only reference a sample by
+ * ID, so a deleted sample leaves the ambience layer silent rather than broken.
+ *
+ * For playback a recording is decoded at the context's sample rate, its loop
+ * point is crossfaded so it repeats without a seam, and it is normalized to
+ * the same RMS level as the noise sources.
+ */
+
+const SampleStore = (function() {
+  'use strict';
+
+  // Database layout
+  const DB_NAME = 'focuslab';
+  const DB_VERSION = 1;
+  const STORES = {
+    SAMPLES: 'samples', // Metadata: { id, name, type, size, duration, createdAt }
+    DATA: 'sampleData' // Encoded file bytes keyed by sample ID
+  };
+
+  // Limits on what can be imported
+  const MAX_FILE_SIZE = 50 * 1024 * 1024; // Bytes
+  const MIN_DURATION = 2; // Seconds
+
+  // Loop point crossfade: at most this long, and at most this fraction of the recording
+  const LOOP_FADE_SECONDS = 1;
+  const LOOP_FADE_MAX_FRACTION = 0.25;
+
+  // Loop buffers are normalized to this RMS level (matches the noise sources)
+  // Peaks are kept below full scale, so quiet recordings with loud peaks end up softer
+  const SAMPLE_RMS = 0.25;
+
+  let databasePromise = null;
+
+  // Loop buffers by `${id}@${sampleRate}`, and the loads in flight or done (null when missing)
+  const loopBuffers = {};
+  const loads = {};
+
+  /**
+   * Check whether samples can be stored in this browser
+   * @returns {boolean} IndexedDB is available
+   */
+  function isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        if (!isAvailable()) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const database = request.result;
+          if (!database.objectStoreNames.contains(STORES.SAMPLES)) {
+            database.createObjectStore(STORES.SAMPLES, { keyPath: 'id' });
+          }
+          if (!database.objectStoreNames.contains(STORES.DATA)) {
+            database.createObjectStore(STORES.DATA);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call try again
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+
+    return databasePromise;
+  }
+
+  /**
+   * Run work in a transaction and wait for it to complete
+   * @param {Array<string>} storeNames - Object stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with the transaction's stores by name; may return an IDBRequest
+   * @returns {Promise<*>} Result of the returned request, once the transaction completes
+   */
+  async function transact(storeNames, mode, work) {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(name => {
+        stores[name] = transaction.objectStore(name);
+      });
+
+      const request = work(stores);
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the metadata of all imported samples, oldest first
+   * @returns {Promise<Array>} Sample metadata (empty when storage is unavailable)
+   */
+  async function getAllSamples() {
+    try {
+      const samples = await transact([STORES.SAMPLES], 'readonly', stores => stores[STORES.SAMPLES].getAll());
+      return samples.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (e) {
+      console.error('Error loading samples:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Decode and store an audio file
+   * The file is decoded first, so anything the browser cannot play is rejected.
+   * Rejects with an error whose code is 'tooLarge' or 'tooShort' for files over the limits.
+   * @param {File} file - Audio file chosen by the user
+   * @param {BaseAudioContext} context - Context used to decode the file
+   * @returns {Promise<Object>} Metadata of the stored sample
+   */
+  async function importFile(file, context) {
+    if (file.size > MAX_FILE_SIZE) {
+      throw createImportError('tooLarge', 'File is too large');
+    }
+
+    const data = await file.arrayBuffer();
+    // decodeAudioData detaches the buffer it is given
+    const decoded = await context.decodeAudioData(data.slice(0));
+
+    if (decoded.duration < MIN_DURATION) {
+      throw createImportError('tooShort', 'Recording is too short to loop');
+    }
+
+    const sample = {
+      id: DataModel.generateId('sample'),
+      name: file.name.replace(/\.[^.]+$/, '') || file.name,
+      type: file.type,
+      size: file.size,
+      duration: decoded.duration,
+      createdAt: Date.now()
+    };
+
+    await transact([STORES.SAMPLES, STORES.DATA], 'readwrite', stores => {
+      stores[STORES.SAMPLES].put(sample);
+      stores[STORES.DATA].put(data, sample.id);
+    });
+
+    // Keep the decode, it is what the first playback needs
+    const key = getKey(sample.id, context.sampleRate);
+    loopBuffers[key] = createLoopBuffer(decoded, context);
+    loads[key] = Promise.resolve(loopBuffers[key]);
+
+    return sample;
+  }
+
+  /**
+   * Create an error for a file that cannot be imported
+   * @param {string} code - 'tooLarge' or 'tooShort' (decoding errors have none)
+   * @param {string} message - Error message
+   * @returns {Error} Error with a code property
+   */
+  function createImportError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Delete a sample and its recording
+   * Profiles that use it keep the reference and play without the ambience
+   * @param {string} id - Sample ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async function deleteSample(id) {
+    forget(id);
+
+    try {
+      await transact([STORES.SAMPLES, STORES.DATA], 'readwrite', stores => {
+        stores[STORES.SAMPLES].delete(id);
+        stores[STORES.DATA].delete(id);
+      });
+      return true;
+    } catch (e) {
+      console.error('Error deleting sample:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Delete every sample
+   * @returns {Promise<boolean>} Success status
+   */
+  async function clearSamples() {
+    Object.keys(loopBuffers).forEach(key => delete loopBuffers[key]);
+    Object.keys(loads).forEach(key => delete loads[key]);
+
+    try {
+      await transact([STORES.SAMPLES, STORES.DATA], 'readwrite', stores => {
+        stores[STORES.SAMPLES].clear();
+        stores[STORES.DATA].clear();
+      });
+      return true;
+    } catch (e) {
+      console.error('Error clearing samples:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Load a sample's loop buffer for a context
+   * Loads are shared, so voices asking for the same sample decode it once
+   * @param {string} id - Sample ID
+   * @param {BaseAudioContext} context - Context the buffer will play in
+   * @returns {Promise<AudioBuffer|null>} Loop buffer, or null when the sample is missing or unreadable
+   */
+  function loadLoopBuffer(id, context) {
+    const key = getKey(id, context.sampleRate);
+
+    if (!loads[key]) {
+      loads[key] = readSampleData(id)
+        .then(data => data ? context.decodeAudioData(data) : null)
+        .then(decoded => {
+          if (!decoded) return null;
+          loopBuffers[key] = createLoopBuffer(decoded, context);
+          return loopBuffers[key];
+        })
+        .catch(e => {
+          console.error('Error loading sample:', e);
+          return null;
+        });
+    }
+
+    return loads[key];
+  }
+
+  /**
+   * Get a loop buffer that has already been loaded
+   * @param {string} id - Sample ID
+   * @param {BaseAudioContext} context - Context the buffer will play in
+   * @returns {AudioBuffer|null} Loop buffer, or null until loadLoopBuffer() has finished
+   */
+  function getLoopBuffer(id, context) {
+    return loopBuffers[getKey(id, context.sampleRate)] || null;
+  }
+
+  /**
+   * Read a sample's encoded bytes
+   * @param {string} id - Sample ID
+   * @returns {Promise<ArrayBuffer|undefined>} File bytes (undefined when missing)
+   */
+  function readSampleData(id) {
+    return transact([STORES.DATA], 'readonly', stores => stores[STORES.DATA].get(id));
+  }
+
+  /**
+   * Drop the loop buffers and loads of a sample
+   * @param {string} id - Sample ID
+   */
+  function forget(id) {
+    const prefix = `${id}@`;
+    [loopBuffers, loads].forEach(cache => {
+      Object.keys(cache)
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => delete cache[key]);
+    });
+  }
+
+  function getKey(id, sampleRate) {
+    return `${id}@${sampleRate}`;
+  }
+
+  /**
+   * Build a seamlessly looping, normalized copy of a decoded recording
+   * The tail is crossfaded (equal power) into the head, so the buffer is
+   * shorter than the recording by the fade length.
+   * @param {AudioBuffer} decoded - Decoded recording
+   * @param {BaseAudioContext} context - Context used to allocate the buffer
+   * @returns {AudioBuffer} Loop buffer (mono or stereo)
+   */
+  function createLoopBuffer(decoded, context) {
+    const channels = Math.min(2, decoded.numberOfChannels);
+    const fadeLength = Math.floor(Math.min(LOOP_FADE_SECONDS * decoded.sampleRate, decoded.length * LOOP_FADE_MAX_FRACTION));
+    const length = decoded.length - fadeLength;
+    const buffer = context.createBuffer(channels, length, decoded.sampleRate);
+
+    let sumSquares = 0;
+    let peak = 0;
+
+    for (let channel = 0; channel < channels; channel++) {
+      const input = decoded.getChannelData(channel);
+      const output = buffer.getChannelData(channel);
+      output.set(input.subarray(0, length));
+
+      // The loop end runs on into the head, which fades in under the tail
+      for (let i = 0; i < fadeLength; i++) {
+        const angle = (i / fadeLength) * Math.PI / 2;
+        output[i] = input[i] * Math.sin(angle) + input[length + i] * Math.cos(angle);
+      }
+
+      for (let i = 0; i < length; i++) {
+        sumSquares += output[i] * output[i];
+        peak = Math.max(peak, Math.abs(output[i]));
+      }
+    }
+
+    const rms = Math.sqrt(sumSquares / (length * channels));
+    if (rms > 0) {
+      const scale = Math.min(SAMPLE_RMS / rms, 1 / peak);
+      for (let channel = 0; channel < channels; channel++) {
+        const output = buffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+          output[i] *= scale;
+        }
+      }
+    }
+
+    return buffer;
+  }
+
+  // Public API
+  return {
+    isAvailable,
+    getAllSamples,
+    importFile,
+    deleteSample,
+    clearSamples,
+    loadLoopBuffer,
+    getLoopBuffer,
+    MAX_FILE_SIZE,
+    MIN_DURATION,
+    SAMPLE_RMS
+  };
+})();
@@ -0,0 +1,296 @@
+/**
+ * Google Focus Lab - Session Tracker Module
+ * Records every session in history, however it ends
+ *
+ * A session runs from the moment playback starts until its profile (playlist
+ * item, Pomodoro interval) completes, playback is stopped, another session
+ * takes its place or the page is closed. Along the way the pauses and any
+ * profile loaded into it are noted, and the time played is counted on the
+ * wall clock, pauses left out.
+ *
+ * A session cut short by closing the page is added to history as the page
+ * goes. In case the page goes without notice (a crash, a mobile browser
+ * discarding it), the record in progress is also kept in storage whenever it
+ * changes, when the page is hidden and on a heartbeat. Each page keeps its
+ * record under its own ID; a record whose heartbeat has stopped for a while
+ * belongs to a page that has gone, and whichever page finds it adds it to
+ * history. Records of pages still open are left alone.
+ */
+
+const SessionTracker = (function() {
+  'use strict';
+
+  // Identifies this page's record among those of other pages (tabs, windows)
+  const PAGE_ID = DataModel.generateId('page');
+
+  // The record is saved this often while a session is tracked (ms), and one not
+  // saved for STALE_AFTER is taken to be from a closed page. Hidden pages may run
+  // their timers only once a minute, so the margin is wide.
+  const HEARTBEAT_INTERVAL = 30 * 1000;
+  const STALE_AFTER = 5 * 60 * 1000;
+
+  // Session in progress: { pageId, profileId, profileName, startedAt, played, resumedAt,
+  // pausedAt, pauses, profileChanges, ... }. played counts the seconds before the
+  // current stretch of playback; resumedAt and pausedAt are Date.now() values,
+  // null while paused and while playing respectively
+  let session = null;
+  let stored = false; // The session's record is in storage
+  let heartbeatId = null;
+  let lastEntry = null; // History entry of the session that ended last
+  let playlistRun = null; // { playlistId, id } of the playlist playback the items belong to
+
+  /**
+   * Start recording a session for what the engine has just started playing
+   */
+  function begin() {
+    const profile = AudioEngine.getCurrentProfile();
+    const playlist = AudioEngine.getPlaylist();
+    const pomodoro = PomodoroScheduler.getStatus();
+    const now = Date.now();
+
+    // The items of one playback of a playlist share a run ID, so they can be rated together
+    if (playlist && (playlist.index === 0 || playlistRun?.playlistId !== playlist.id)) {
+      playlistRun = { playlistId: playlist.id, id: DataModel.generateId('run') };
+    }
+
+    session = {
+      pageId: PAGE_ID,
+      profileId: profile.id,
+      profileName: profile.name,
+      startedAt: now,
+      played: 0,
+      resumedAt: now,
+      pausedAt: null,
+      pauses: [],
+      profileChanges: [],
+      ...(ProfileAutomation.isOpenEnded(profile) && { openEnded: true }),
+      ...(playlist && { playlistId: playlist.id, playlistName: playlist.name, playlistRunId: playlistRun.id }),
+      ...(pomodoro && { intervalType: pomodoro.type, cycle: pomodoro.cycle })
+    };
+    save();
+    heartbeatId = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+  }
+
+  function pause() {
+    if (session.pausedAt !== null) return;
+
+    const now = Date.now();
+    session.played = getPlayed(session, now);
+    session.resumedAt = null;
+    session.pausedAt = now;
+    save();
+  }
+
+  function resume() {
+    if (session.pausedAt === null) return;
+
+    const now = Date.now();
+    session.pauses.push(getPause(session, now));
+    session.pausedAt = null;
+    session.resumedAt = now;
+    save();
+  }
+
+  /**
+   * Note a profile loaded while the session runs
+   * @param {Object} profile - Sound profile
+   */
+  function changeProfile(profile) {
+    const { profileChanges } = session;
+    const currentId = profileChanges.length > 0 ? profileChanges[profileChanges.length - 1].profileId : session.profileId;
+    if (profile.id === currentId) return;
+
+    profileChanges.push({
+      at: Math.round(getPlayed(session, Date.now())),
+      profileId: profile.id,
+      profileName: profile.name
+    });
+    save();
+  }
+
+  /**
+   * Add the session to history and stop recording it
+   * @param {string} ending - 'completed', 'stopped', 'replaced' or 'pageClosed'
+   */
+  function finish(ending) {
+    if (!wasRecoveredElsewhere()) {
+      lastEntry = createHistoryEntry(session, ending, Date.now());
+      DataModel.addToHistory(lastEntry);
+      DataModel.clearActiveSession(PAGE_ID);
+    }
+    drop();
+  }
+
+  /**
+   * Stop recording the session, without adding it to history
+   */
+  function drop() {
+    clearInterval(heartbeatId);
+    heartbeatId = null;
+    session = null;
+    stored = false;
+  }
+
+  /**
+   * Check whether another page has added this page's session to history
+   * It does when this page has not saved the record for a while, as when the
+   * browser froze it in the background. Its record is gone from storage then.
+   * @returns {boolean} The session is already in history
+   */
+  function wasRecoveredElsewhere() {
+    return stored && !DataModel.getActiveSession(PAGE_ID);
+  }
+
+  /**
+   * Turn a session record into a history entry
+   * A pause still open when the session ended counts as a pause.
+   * @param {Object} record - Session record
+   * @param {string} ending - 'completed', 'stopped', 'replaced' or 'pageClosed'
+   * @param {number} now - Time the session ended (Date.now() value)
+   * @returns {Object} History entry: id, duration (seconds played), completed, ending,
+   *   startedAt, pauses ({ at, duration } in seconds), profileChanges and timestamp
+   */
+  function createHistoryEntry(record, ending, now) {
+    const { pageId, played, resumedAt, pausedAt, savedAt, ...entry } = record;
+
+    return {
+      id: DataModel.generateId('session'),
+      ...entry,
+      duration: Math.round(getPlayed(record, now)),
+      completed: ending === 'completed',
+      ending,
+      pauses: pausedAt !== null ? [...record.pauses, getPause(record, now)] : record.pauses,
+      timestamp: now
+    };
+  }
+
+  /**
+   * Get the seconds a session has played
+   * @param {Object} record - Session record
+   * @param {number} now - Date.now() value
+   * @returns {number} Seconds played, pauses left out
+   */
+  function getPlayed(record, now) {
+    return record.played + (record.resumedAt !== null ? Math.max(0, now - record.resumedAt) / 1000 : 0);
+  }
+
+  /**
+   * Describe the pause a session is in
+   * @param {Object} record - Session record (paused)
+   * @param {number} now - Date.now() value
+   * @returns {Object} { at (seconds played before it), duration (seconds) }
+   */
+  function getPause(record, now) {
+    return {
+      at: Math.round(record.played),
+      duration: Math.round(Math.max(0, now - record.pausedAt) / 1000)
+    };
+  }
+
+  /**
+   * Keep the record in storage, as it stands now
+   * A session another page has already added to history is no longer recorded here.
+   */
+  function save() {
+    if (!session) return;
+
+    if (wasRecoveredElsewhere()) {
+      drop();
+      return;
+    }
+    stored = DataModel.saveActiveSession({ ...session, savedAt: Date.now() });
+  }
+
+  function heartbeat() {
+    save();
+    recoverInterruptedSessions();
+  }
+
+  /**
+   * Add the sessions left running in pages that have been closed to history
+   * Each ended when it was last saved. Records still being saved are left to their pages.
+   */
+  function recoverInterruptedSessions() {
+    const now = Date.now();
+
+    DataModel.getActiveSessions()
+      .filter(record => record.pageId !== PAGE_ID && now - record.savedAt > STALE_AFTER)
+      .forEach(record => {
+        DataModel.addToHistory(createHistoryEntry(record, 'pageClosed', record.savedAt));
+        DataModel.clearActiveSession(record.pageId);
+      });
+  }
+
+  function isTracking() {
+    return session !== null;
+  }
+
+  /**
+   * Get the history entry of the session that ended last (in this page)
+   * @returns {Object|null} History entry
+   */
+  function getLastEntry() {
+    return lastEntry;
+  }
+
+  recoverInterruptedSessions();
+
+  window.addEventListener('sessionStateChange', (event) => {
+    const { state, reason } = event.detail;
+    const { SESSION_STATES } = AudioEngine;
+
+    if (state === SESSION_STATES.PLAYING) {
+      if (session) {
+        resume();
+      } else {
+        begin();
+      }
+    } else if (session && state === SESSION_STATES.PAUSED) {
+      pause();
+    } else if (session && state === SESSION_STATES.IDLE) {
+      finish(reason || 'stopped');
+    }
+  });
+
+  // A playlist's own completion follows that of its last item, already recorded
+  window.addEventListener('sessionComplete', (event) => {
+    if (session && event.detail.scope !== 'playlist') {
+      finish('completed');
+    }
+  });
+
+  // The next playlist item starts without the engine leaving the playing state
+  window.addEventListener('playlistItemChange', () => {
+    if (!session && AudioEngine.getIsPlaying()) {
+      begin();
+    }
+  });
+
+  window.addEventListener('profileChange', (event) => {
+    if (session) {
+      changeProfile(event.detail.profile);
+    }
+  });
+
+  // A hidden page may be closed without notice
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      save();
+    }
+  });
+
+  // A page kept for the back/forward cache may come back and play on
+  window.addEventListener('pagehide', (event) => {
+    if (event.persisted) {
+      save();
+    } else if (session) {
+      finish('pageClosed');
+    }
+  });
+
+  // Public API
+  return {
+    isTracking,
+    getLastEntry
+  };
+})();
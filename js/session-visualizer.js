@@ -0,0 +1,296 @@
+/**
+ * Google Focus Lab - Session Visualizer Module
+ * Draws what the engine is playing in the session card
+ *
+ * Reads the AnalyserNode tapped after the master gain at a low frame rate,
+ * either as spectrum bars or as a scrolling level envelope. It draws a
+ * still baseline while paused and during silence blocks, and slows to one
+ * frame per second when the user prefers reduced motion.
+ */
+
+const SessionVisualizer = (function() {
+  'use strict';
+
+  // Frame intervals (ms)
+  const FRAME_INTERVAL = 1000 / 12;
+  const REDUCED_MOTION_FRAME_INTERVAL = 1000;
+
+  // Spectrum bars, log-spaced over the audible range of the profile sounds
+  const BAR_COUNT = 24;
+  const MIN_FREQUENCY = 40; // Hz
+  const MAX_FREQUENCY = 8000; // Hz
+  const MIN_DECIBELS = -90;
+  const MAX_DECIBELS = -20;
+
+  // Level envelope
+  const LEVEL_HISTORY_SECONDS = 10;
+  const LEVEL_FLOOR = -60; // dBFS shown as empty
+
+  // Drawn as quiet below this silence gate and envelope gain
+  const QUIET_GAIN = 0.05;
+
+  const reducedMotionQuery = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+  let canvas = null;
+  let ctx = null;
+  let mode = 'spectrum';
+  let frameId = null;
+  let lastFrameTime = 0;
+  let frequencyData = null;
+  let timeData = null;
+  let levels = [];
+
+  /**
+   * Attach the visualizer to its canvas
+   * @param {HTMLCanvasElement} canvasElement - Canvas in the session card
+   */
+  function init(canvasElement) {
+    canvas = canvasElement;
+    ctx = canvas.getContext('2d');
+    resize();
+    window.addEventListener('resize', resize);
+  }
+
+  /**
+   * Match the canvas to its displayed size
+   */
+  function resize() {
+    if (!canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    if (!frameId) {
+      drawBaseline();
+    }
+  }
+
+  /**
+   * Choose what is drawn
+   * @param {string} newMode - 'spectrum' or 'level'
+   */
+  function setMode(newMode) {
+    if (newMode === mode) return;
+
+    mode = newMode === 'level' ? 'level' : 'spectrum';
+    levels = [];
+
+    if (!frameId) {
+      drawBaseline();
+    }
+  }
+
+  /**
+   * Start drawing the engine output
+   */
+  function start() {
+    if (!canvas || frameId) return;
+
+    // The canvas may have been hidden when last sized
+    resize();
+    levels = [];
+    lastFrameTime = 0;
+    frameId = requestAnimationFrame(drawFrame);
+  }
+
+  /**
+   * Stop drawing and leave a still baseline
+   */
+  function stop() {
+    if (frameId) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    resize();
+  }
+
+  /**
+   * Get the time between frames
+   * @returns {number} Interval in ms
+   */
+  function getFrameInterval() {
+    return reducedMotionQuery?.matches ? REDUCED_MOTION_FRAME_INTERVAL : FRAME_INTERVAL;
+  }
+
+  /**
+   * Check whether the session is in a silence block or faded out
+   * @returns {boolean} Quiet
+   */
+  function isQuiet() {
+    const profile = AudioEngine.getCurrentProfile();
+    if (!profile) return true;
+
+    const { silenceGain, envelopeGain } = ProfileAutomation.getParametersAt(profile, AudioEngine.getProgress().elapsed);
+    return silenceGain * envelopeGain < QUIET_GAIN;
+  }
+
+  /**
+   * Draw one frame if the frame interval has passed
+   * @param {number} time - Animation frame timestamp
+   */
+  function drawFrame(time) {
+    frameId = requestAnimationFrame(drawFrame);
+    if (time - lastFrameTime < getFrameInterval()) return;
+    lastFrameTime = time;
+
+    const analyser = AudioEngine.getAnalyser();
+    if (!analyser || isQuiet()) {
+      // Keep the envelope moving so it resumes where the silence ends
+      if (mode === 'level') pushLevel(0);
+      drawBaseline();
+      return;
+    }
+
+    if (mode === 'level') {
+      pushLevel(readLevel(analyser));
+      drawLevel();
+    } else {
+      drawSpectrum(readSpectrum(analyser));
+    }
+  }
+
+  /**
+   * Read the spectrum as bar heights
+   * @param {AnalyserNode} analyser - Output tap
+   * @returns {Array<number>} Bar heights (0-1)
+   */
+  function readSpectrum(analyser) {
+    if (!frequencyData || frequencyData.length !== analyser.frequencyBinCount) {
+      frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    }
+    analyser.minDecibels = MIN_DECIBELS;
+    analyser.maxDecibels = MAX_DECIBELS;
+    analyser.getByteFrequencyData(frequencyData);
+
+    const binWidth = analyser.context.sampleRate / 2 / frequencyData.length;
+    const ratio = MAX_FREQUENCY / MIN_FREQUENCY;
+    const bars = [];
+
+    for (let i = 0; i < BAR_COUNT; i++) {
+      const low = MIN_FREQUENCY * Math.pow(ratio, i / BAR_COUNT);
+      const high = MIN_FREQUENCY * Math.pow(ratio, (i + 1) / BAR_COUNT);
+      const first = Math.floor(low / binWidth);
+      const last = Math.max(first, Math.min(frequencyData.length - 1, Math.ceil(high / binWidth) - 1));
+
+      let peak = 0;
+      for (let bin = first; bin <= last; bin++) {
+        peak = Math.max(peak, frequencyData[bin]);
+      }
+      bars.push(peak / 255);
+    }
+
+    return bars;
+  }
+
+  /**
+   * Read the output level
+   * @param {AnalyserNode} analyser - Output tap
+   * @returns {number} Level (0-1, LEVEL_FLOOR dBFS to full scale)
+   */
+  function readLevel(analyser) {
+    if (!timeData || timeData.length !== analyser.fftSize) {
+      timeData = new Float32Array(analyser.fftSize);
+    }
+    analyser.getFloatTimeDomainData(timeData);
+
+    let sum = 0;
+    for (let i = 0; i < timeData.length; i++) {
+      sum += timeData[i] * timeData[i];
+    }
+    const rms = Math.sqrt(sum / timeData.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : LEVEL_FLOOR;
+
+    return Math.max(0, Math.min(1, 1 - db / LEVEL_FLOOR));
+  }
+
+  /**
+   * Add a level to the envelope history
+   * @param {number} level - Level (0-1)
+   */
+  function pushLevel(level) {
+    const length = Math.ceil(LEVEL_HISTORY_SECONDS * 1000 / getFrameInterval());
+    levels.push(level);
+    if (levels.length > length) {
+      levels.splice(0, levels.length - length);
+    }
+  }
+
+  /**
+   * Get the drawing area and colour
+   * @returns {Object} { width, height, color }
+   */
+  function getSurface() {
+    const rect = canvas.getBoundingClientRect();
+    ctx.clearRect(0, 0, rect.width, rect.height);
+    return {
+      width: rect.width,
+      height: rect.height,
+      color: getComputedStyle(canvas).color
+    };
+  }
+
+  /**
+   * Draw spectrum bars
+   * @param {Array<number>} bars - Bar heights (0-1)
+   */
+  function drawSpectrum(bars) {
+    const { width, height, color } = getSurface();
+    const slot = width / bars.length;
+    const barWidth = Math.max(1, slot * 0.6);
+
+    ctx.fillStyle = color;
+    bars.forEach((value, i) => {
+      const barHeight = Math.max(2, value * height);
+      ctx.fillRect(i * slot + (slot - barWidth) / 2, height - barHeight, barWidth, barHeight);
+    });
+  }
+
+  /**
+   * Draw the level envelope, newest on the right
+   */
+  function drawLevel() {
+    const { width, height, color } = getSurface();
+    const length = Math.ceil(LEVEL_HISTORY_SECONDS * 1000 / getFrameInterval());
+    const step = width / Math.max(1, length - 1);
+    const offset = width - (levels.length - 1) * step;
+
+    ctx.beginPath();
+    ctx.moveTo(offset, height);
+    levels.forEach((level, i) => {
+      ctx.lineTo(offset + i * step, height - Math.max(1, level * height));
+    });
+    ctx.lineTo(width, height);
+    ctx.closePath();
+
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * Draw the still baseline shown while quiet
+   */
+  function drawBaseline() {
+    if (!canvas) return;
+
+    const { width, height, color } = getSurface();
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, height - 2, width, 2);
+    ctx.globalAlpha = 1;
+  }
+
+  // Public API
+  return {
+    init,
+    setMode,
+    start,
+    stop
+  };
+})();
@@ -13,10 +13,161 @@ const UIController = (function() {
   let workingProfile = null;
   let timerIntervalId = null;
   let activeAccordion = null;
+  let exportingProfileId = null;
+  let editingPlaylist = null; // Copy of the playlist open in the playlist editor
+  let checkInEntryIds = []; // History entries the open check-in is for
+  let lastExposureCheck = 0;
+  let samples = null; // Imported ambience samples (metadata), null until loaded
+  const densityBrush = { tool: 'brush', size: 'medium', smoothing: 0.5 };
+  let densityCursor = null; // Brush position over the density editor, { x, y } (0-1)
+  let textureSliderStart = null; // Texture as it was when the base density slider started moving
+  const exposureNotices = new Set(); // Notices already shown, keyed by day and kind
 
   // Canvas contexts
   const canvasContexts = {};
 
+  // Status labels per session state
+  const STATUS_LABELS = {
+    idle: '待機中',
+    playing: '再生中',
+    paused: '一時停止',
+    completed: '完了'
+  };
+
+  // Pomodoro interval labels
+  const POMODORO_INTERVAL_LABELS = {
+    work: '作業',
+    shortBreak: '短い休憩',
+    longBreak: '長い休憩'
+  };
+
+  // How history entries ended (see SessionTracker)
+  const HISTORY_ENDING_LABELS = {
+    completed: '完了',
+    stopped: '停止',
+    replaced: '置き換え',
+    pageClosed: 'ページを閉じた'
+  };
+
+  // Check-in answers about the sound
+  const CHECK_IN_SOUND_LABELS = {
+    helped: '音が助けになった',
+    neutral: '音はどちらでもない',
+    distracted: '音で気が散った'
+  };
+
+  // History heatmap: weeks shown, and the focus minutes a day needs for each level
+  const HISTORY_HEATMAP_WEEKS = 16;
+  const HISTORY_HEATMAP_LEVELS = [1, 25, 60, 120];
+
+  // Timeline duration suffixes for open-ended profiles
+  const ENDING_LABELS = {
+    loop: 'ループ',
+    hold: '保持'
+  };
+
+  // Modulation type labels
+  const MODULATION_LABELS = {
+    stable: '安定',
+    gentle: 'ゆらぎ',
+    irregular: '不規則',
+    custom: 'カスタム'
+  };
+
+  // Modulation LFO labels
+  const LFO_WAVEFORM_LABELS = {
+    sine: 'サイン',
+    triangle: '三角',
+    randomWalk: 'ランダムウォーク',
+    smoothNoise: 'スムーズノイズ'
+  };
+  const RANDOM_LFO_WAVEFORMS = ['randomWalk', 'smoothNoise']; // Follow the layer's seed
+  const LFO_TARGET_LABELS = {
+    pitch: 'ピッチ',
+    filter: 'フィルター',
+    density: '密度',
+    pan: 'パン',
+    level: '音量'
+  };
+
+  // Keyboard seek step on the timeline playhead (seconds)
+  const SEEK_STEP = 10;
+
+  // How often the exposure is checked while playing (ms)
+  const EXPOSURE_CHECK_INTERVAL = 5000;
+
+  // Density paint editor
+  // Strokes are painted on a grid of points across the session, then the
+  // density map keeps only the points needed to follow it within the tolerance
+  const DENSITY_GRID_POINTS = 121;
+  const DENSITY_SIMPLIFY_TOLERANCE = 0.01;
+  const DENSITY_BRUSH_SIZES = { small: 0.02, medium: 0.05, large: 0.12 }; // Brush radius, fraction of the session
+  const DENSITY_COLUMN_WIDTH = 2; // Heatmap column width (px)
+
+  // Binaural carrier presets (Hz)
+  const BINAURAL_CARRIERS = {
+    low: 150,
+    normal: 200,
+    high: 300
+  };
+
+  // Tonal voice intervals (frequency ratio to the base curve)
+  const TONE_RATIOS = [
+    { ratio: 0.5, label: '1オクターブ下' },
+    { ratio: 1, label: 'ユニゾン' },
+    { ratio: 1.25, label: '長3度' },
+    { ratio: 4 / 3, label: '完全4度' },
+    { ratio: 1.5, label: '完全5度' },
+    { ratio: 2, label: '1オクターブ上' },
+    { ratio: 3, label: '第3倍音' },
+    { ratio: 4, label: '第4倍音' },
+    { ratio: 5, label: '第5倍音' }
+  ];
+
+  // Curve editors: canvas id → curve accessor, value range, color and timeline lane
+  const CURVE_EDITORS = {
+    baseFrequencyEditor: {
+      layer: 'baseFrequency',
+      getCurve: profile => profile.layers.baseFrequency.curve,
+      min: 0,
+      max: 1,
+      color: '#6750A4',
+      timelineCanvas: 'baseFrequencyCanvas'
+    },
+    isochronicEditor: {
+      layer: 'isochronic',
+      getCurve: profile => profile.layers.isochronic.rateCurve,
+      min: DataModel.ISOCHRONIC_RATE_RANGE.min,
+      max: DataModel.ISOCHRONIC_RATE_RANGE.max,
+      color: '#8B5000',
+      timelineCanvas: 'isochronicCanvas'
+    },
+    ambienceEditor: {
+      layer: 'ambience',
+      getCurve: profile => profile.layers.ambience.levelCurve,
+      min: 0,
+      max: 1,
+      color: '#00639A',
+      timelineCanvas: 'ambienceCanvas'
+    },
+    spatialEditor: {
+      layer: 'spatial',
+      getCurve: profile => profile.layers.spatial.positionCurve,
+      min: DataModel.SPATIAL_AZIMUTH_RANGE.min,
+      max: DataModel.SPATIAL_AZIMUTH_RANGE.max,
+      color: '#386A20',
+      timelineCanvas: 'spatialCanvas'
+    },
+    binauralEditor: {
+      layer: 'binaural',
+      getCurve: profile => profile.layers.binaural.beatCurve,
+      min: DataModel.BINAURAL_BEAT_RANGE.min,
+      max: DataModel.BINAURAL_BEAT_RANGE.max,
+      color: '#006A6A',
+      timelineCanvas: 'binauralCanvas'
+    }
+  };
+
   /**
    * Initialize UI controller
    */
@@ -38,29 +189,73 @@ const UIController = (function() {
 
     // Session card
     elements.currentProfileName = document.getElementById('currentProfileName');
+    elements.currentPlaylistName = document.getElementById('currentPlaylistName');
+    elements.pomodoroStatus = document.getElementById('pomodoroStatus');
+    elements.pomodoroStatusLabel = document.getElementById('pomodoroStatusLabel');
+    elements.pomodoroNextBtn = document.getElementById('pomodoroNextBtn');
+    elements.pomodoroEndBtn = document.getElementById('pomodoroEndBtn');
     elements.timerDisplay = document.getElementById('timerDisplay');
+    elements.stopBtn = document.getElementById('stopBtn');
+    elements.headphonesHint = document.getElementById('headphonesHint');
     elements.statusIndicator = document.getElementById('statusIndicator');
     elements.statusText = document.getElementById('statusText');
+    elements.sessionVisualizer = document.getElementById('sessionVisualizer');
+    elements.visualizerCanvas = document.getElementById('visualizerCanvas');
 
     // Timeline
     elements.timelineContainer = document.getElementById('timelineContainer');
     elements.timelineTrack = document.getElementById('timelineTrack');
     elements.timelinePlayhead = document.getElementById('timelinePlayhead');
+    elements.timelineTooltip = document.getElementById('timelineTooltip');
     elements.timelineDuration = document.getElementById('timelineDuration');
     elements.timelineRuler = document.getElementById('timelineRuler');
 
     // Timeline canvases
     elements.baseFrequencyCanvas = document.getElementById('baseFrequencyCanvas');
     elements.textureCanvas = document.getElementById('textureCanvas');
+    elements.ambienceCanvas = document.getElementById('ambienceCanvas');
     elements.modulationCanvas = document.getElementById('modulationCanvas');
+    elements.spatialCanvas = document.getElementById('spatialCanvas');
     elements.silenceCanvas = document.getElementById('silenceCanvas');
+    elements.binauralCanvas = document.getElementById('binauralCanvas');
+    elements.isochronicCanvas = document.getElementById('isochronicCanvas');
 
     // Layer editors
     elements.baseFrequencyEditor = document.getElementById('baseFrequencyEditor');
     elements.textureEditor = document.getElementById('textureEditor');
     elements.textureSlider = document.getElementById('textureSlider');
+    elements.densityToolChips = document.getElementById('densityToolChips');
+    elements.densityBrushSizes = document.getElementById('densityBrushSizes');
+    elements.densitySmoothingSlider = document.getElementById('densitySmoothingSlider');
+    elements.clearDensityBtn = document.getElementById('clearDensityBtn');
+    elements.noiseTypeChips = document.getElementById('noiseTypeChips');
+    elements.noiseLevelSlider = document.getElementById('noiseLevelSlider');
+    elements.ambienceToggle = document.getElementById('ambienceToggle');
+    elements.ambienceEditor = document.getElementById('ambienceEditor');
+    elements.ambienceSampleSelect = document.getElementById('ambienceSampleSelect');
+    elements.importSampleBtn = document.getElementById('importSampleBtn');
+    elements.deleteSampleBtn = document.getElementById('deleteSampleBtn');
+    elements.sampleFileInput = document.getElementById('sampleFileInput');
+    elements.ambienceMissingHint = document.getElementById('ambienceMissingHint');
+    elements.ambienceMissingText = document.getElementById('ambienceMissingText');
+    elements.toneVoiceList = document.getElementById('toneVoiceList');
+    elements.addToneVoiceBtn = document.getElementById('addToneVoiceBtn');
+    elements.modulationLfoList = document.getElementById('modulationLfoList');
+    elements.addModulationLfoBtn = document.getElementById('addModulationLfoBtn');
+    elements.rerollModulationBtn = document.getElementById('rerollModulationBtn');
     elements.silenceBlocks = document.getElementById('silenceBlocks');
     elements.addSilenceBtn = document.getElementById('addSilenceBtn');
+    elements.envelopeSliders = document.querySelectorAll('[data-envelope]');
+    elements.spatialToggle = document.getElementById('spatialToggle');
+    elements.spatialEditor = document.getElementById('spatialEditor');
+    elements.spatialDistanceSlider = document.getElementById('spatialDistanceSlider');
+    elements.binauralToggle = document.getElementById('binauralToggle');
+    elements.binauralEditor = document.getElementById('binauralEditor');
+    elements.binauralMixSlider = document.getElementById('binauralMixSlider');
+    elements.isochronicToggle = document.getElementById('isochronicToggle');
+    elements.isochronicEditor = document.getElementById('isochronicEditor');
+    elements.pulseShapeChips = document.getElementById('pulseShapeChips');
+    elements.pulseDutySlider = document.getElementById('pulseDutySlider');
 
     // Pro mode
     elements.proModeToggle = document.getElementById('proModeToggle');
@@ -82,20 +277,95 @@ const UIController = (function() {
     elements.closeProfilesModal = document.getElementById('closeProfilesModal');
     elements.profileList = document.getElementById('profileList');
     elements.newProfileBtn = document.getElementById('newProfileBtn');
+    elements.renderProgress = document.getElementById('renderProgress');
+    elements.renderProgressLabel = document.getElementById('renderProgressLabel');
+    elements.renderProgressTrack = document.getElementById('renderProgressTrack');
+    elements.renderProgressBar = document.getElementById('renderProgressBar');
+
+    elements.playlistsModal = document.getElementById('playlistsModal');
+    elements.playlistsModalScrim = document.getElementById('playlistsModalScrim');
+    elements.closePlaylistsModal = document.getElementById('closePlaylistsModal');
+    elements.playlistBrowser = document.getElementById('playlistBrowser');
+    elements.playlistList = document.getElementById('playlistList');
+    elements.playlistEmpty = document.getElementById('playlistEmpty');
+    elements.newPlaylistBtn = document.getElementById('newPlaylistBtn');
+    elements.playlistEditor = document.getElementById('playlistEditor');
+    elements.playlistNameInput = document.getElementById('playlistNameInput');
+    elements.playlistCrossfadeSlider = document.getElementById('playlistCrossfadeSlider');
+    elements.playlistCrossfadeValue = document.getElementById('playlistCrossfadeValue');
+    elements.playlistItemList = document.getElementById('playlistItemList');
+    elements.addPlaylistItemBtn = document.getElementById('addPlaylistItemBtn');
+    elements.playlistTotal = document.getElementById('playlistTotal');
+    elements.playlistEditorActions = document.getElementById('playlistEditorActions');
+    elements.cancelPlaylistBtn = document.getElementById('cancelPlaylistBtn');
+    elements.savePlaylistBtn = document.getElementById('savePlaylistBtn');
+    elements.playPlaylistBtn = document.getElementById('playPlaylistBtn');
+
+    elements.historyModal = document.getElementById('historyModal');
+    elements.historyModalScrim = document.getElementById('historyModalScrim');
+    elements.closeHistoryModal = document.getElementById('closeHistoryModal');
+    elements.historyHeatmap = document.getElementById('historyHeatmap');
+    elements.historyHeatmapTotal = document.getElementById('historyHeatmapTotal');
+    elements.historyFilters = document.getElementById('historyFilters');
+    elements.historyProfileFilter = document.getElementById('historyProfileFilter');
+    elements.historyEndingFilter = document.getElementById('historyEndingFilter');
+    elements.historyFromInput = document.getElementById('historyFromInput');
+    elements.historyToInput = document.getElementById('historyToInput');
+    elements.historyDays = document.getElementById('historyDays');
+    elements.historyEmpty = document.getElementById('historyEmpty');
+
+    elements.pomodoroModal = document.getElementById('pomodoroModal');
+    elements.pomodoroModalScrim = document.getElementById('pomodoroModalScrim');
+    elements.closePomodoroModal = document.getElementById('closePomodoroModal');
+    elements.pomodoroSetup = document.getElementById('pomodoroSetup');
+    elements.pomodoroWorkProfileSelect = document.getElementById('pomodoroWorkProfileSelect');
+    elements.pomodoroWorkDurationSelect = document.getElementById('pomodoroWorkDurationSelect');
+    elements.pomodoroBreakProfileSelect = document.getElementById('pomodoroBreakProfileSelect');
+    elements.pomodoroShortBreakSelect = document.getElementById('pomodoroShortBreakSelect');
+    elements.pomodoroLongBreakSelect = document.getElementById('pomodoroLongBreakSelect');
+    elements.pomodoroCyclesSelect = document.getElementById('pomodoroCyclesSelect');
+    elements.pomodoroLongBreakEverySelect = document.getElementById('pomodoroLongBreakEverySelect');
+    elements.pomodoroAutoAdvanceToggle = document.getElementById('pomodoroAutoAdvanceToggle');
+    elements.pomodoroTotal = document.getElementById('pomodoroTotal');
+    elements.cancelPomodoroBtn = document.getElementById('cancelPomodoroBtn');
+    elements.startPomodoroBtn = document.getElementById('startPomodoroBtn');
 
     elements.saveModal = document.getElementById('saveModal');
+    elements.saveModalTitle = document.getElementById('saveModalTitle');
     elements.saveModalScrim = document.getElementById('saveModalScrim');
     elements.closeSaveModal = document.getElementById('closeSaveModal');
     elements.profileNameInput = document.getElementById('profileNameInput');
     elements.durationSelect = document.getElementById('durationSelect');
+    elements.customDurationField = document.getElementById('customDurationField');
+    elements.customDurationInput = document.getElementById('customDurationInput');
+    elements.endingSelect = document.getElementById('endingSelect');
     elements.cancelSaveBtn = document.getElementById('cancelSaveBtn');
+    elements.checkInModal = document.getElementById('checkInModal');
+    elements.checkInModalScrim = document.getElementById('checkInModalScrim');
+    elements.closeCheckInModal = document.getElementById('closeCheckInModal');
+    elements.checkInProfileName = document.getElementById('checkInProfileName');
+    elements.checkInRating = document.getElementById('checkInRating');
+    elements.checkInSound = document.getElementById('checkInSound');
+    elements.checkInNoteInput = document.getElementById('checkInNoteInput');
+    elements.skipCheckInBtn = document.getElementById('skipCheckInBtn');
+    elements.saveCheckInBtn = document.getElementById('saveCheckInBtn');
     elements.confirmSaveBtn = document.getElementById('confirmSaveBtn');
 
     elements.settingsModal = document.getElementById('settingsModal');
     elements.settingsModalScrim = document.getElementById('settingsModalScrim');
     elements.closeSettingsModal = document.getElementById('closeSettingsModal');
+    elements.outputDeviceItem = document.getElementById('outputDeviceItem');
+    elements.outputDeviceSelect = document.getElementById('outputDeviceSelect');
     elements.masterVolumeSlider = document.getElementById('masterVolumeSlider');
     elements.notificationToggle = document.getElementById('notificationToggle');
+    elements.checkInToggle = document.getElementById('checkInToggle');
+    elements.visualizerToggle = document.getElementById('visualizerToggle');
+    elements.volumeCeilingSlider = document.getElementById('volumeCeilingSlider');
+    elements.exposureMeter = document.getElementById('exposureMeter');
+    elements.exposureMeterTrack = document.getElementById('exposureMeterTrack');
+    elements.exposureMeterBar = document.getElementById('exposureMeterBar');
+    elements.exposureMeterValue = document.getElementById('exposureMeterValue');
+    elements.exposureProtectionSelect = document.getElementById('exposureProtectionSelect');
     elements.clearDataBtn = document.getElementById('clearDataBtn');
 
     // Snackbar
@@ -122,8 +392,15 @@ const UIController = (function() {
     elements.settingsBtn?.addEventListener('click', openSettingsModal);
     elements.closeSettingsModal?.addEventListener('click', closeSettingsModal);
     elements.settingsModalScrim?.addEventListener('click', closeSettingsModal);
+    elements.outputDeviceSelect?.addEventListener('change', handleOutputDeviceSelectChange);
     elements.masterVolumeSlider?.addEventListener('input', handleVolumeChange);
     elements.notificationToggle?.addEventListener('change', handleNotificationToggle);
+    elements.checkInToggle?.addEventListener('change', (e) => {
+      DataModel.updateSetting('checkInEnabled', e.target.checked);
+    });
+    elements.visualizerToggle?.addEventListener('change', handleVisualizerToggle);
+    elements.volumeCeilingSlider?.addEventListener('input', handleVolumeCeilingChange);
+    elements.exposureProtectionSelect?.addEventListener('change', handleExposureProtectionChange);
     elements.clearDataBtn?.addEventListener('click', handleClearData);
 
     // Profiles modal
@@ -132,15 +409,67 @@ const UIController = (function() {
     elements.profilesModalScrim?.addEventListener('click', closeProfilesModal);
     elements.newProfileBtn?.addEventListener('click', handleNewProfile);
 
+    // Playlists modal
+    elements.closePlaylistsModal?.addEventListener('click', closePlaylistsModal);
+    elements.playlistsModalScrim?.addEventListener('click', closePlaylistsModal);
+    elements.newPlaylistBtn?.addEventListener('click', () => openPlaylistEditor(null));
+    elements.playlistNameInput?.addEventListener('input', handlePlaylistNameInput);
+    elements.playlistCrossfadeSlider?.addEventListener('input', handlePlaylistCrossfadeInput);
+    elements.playlistItemList?.addEventListener('change', handlePlaylistItemInput);
+    elements.playlistItemList?.addEventListener('click', handlePlaylistItemClick);
+    elements.addPlaylistItemBtn?.addEventListener('click', handleAddPlaylistItem);
+    elements.cancelPlaylistBtn?.addEventListener('click', showPlaylistBrowser);
+    elements.savePlaylistBtn?.addEventListener('click', handleSavePlaylist);
+    elements.playPlaylistBtn?.addEventListener('click', handlePlayEditedPlaylist);
+
+    // History modal
+    elements.closeHistoryModal?.addEventListener('click', closeHistoryModal);
+    elements.historyModalScrim?.addEventListener('click', closeHistoryModal);
+    elements.historyFilters?.addEventListener('change', renderHistory);
+
+    // Pomodoro
+    elements.closePomodoroModal?.addEventListener('click', closePomodoroModal);
+    elements.pomodoroModalScrim?.addEventListener('click', closePomodoroModal);
+    elements.cancelPomodoroBtn?.addEventListener('click', closePomodoroModal);
+    elements.pomodoroSetup?.addEventListener('change', handlePomodoroSetupChange);
+    elements.startPomodoroBtn?.addEventListener('click', handleStartPomodoro);
+    elements.pomodoroNextBtn?.addEventListener('click', () => PomodoroScheduler.continueSession());
+    elements.pomodoroEndBtn?.addEventListener('click', () => AudioEngine.stop());
+
     // Save modal
     elements.saveBtn?.addEventListener('click', openSaveModal);
     elements.closeSaveModal?.addEventListener('click', closeSaveModal);
     elements.saveModalScrim?.addEventListener('click', closeSaveModal);
     elements.cancelSaveBtn?.addEventListener('click', closeSaveModal);
     elements.confirmSaveBtn?.addEventListener('click', handleSaveProfile);
+    elements.durationSelect?.addEventListener('change', updateCustomDurationField);
+
+    // Check-in modal
+    [elements.checkInRating, elements.checkInSound].forEach(group => {
+      group?.querySelectorAll('.segmented-button').forEach(btn => {
+        btn.addEventListener('click', handleCheckInOptionClick);
+      });
+    });
+    elements.closeCheckInModal?.addEventListener('click', closeCheckInModal);
+    elements.checkInModalScrim?.addEventListener('click', closeCheckInModal);
+    elements.skipCheckInBtn?.addEventListener('click', closeCheckInModal);
+    elements.saveCheckInBtn?.addEventListener('click', handleSaveCheckIn);
 
     // Playback
     elements.playPauseBtn?.addEventListener('click', handlePlayPause);
+    elements.stopBtn?.addEventListener('click', () => AudioEngine.stop());
+
+    // Visualizer
+    elements.sessionVisualizer?.querySelectorAll('.segmented-button').forEach(btn => {
+      btn.addEventListener('click', handleVisualizerModeChange);
+    });
+
+    // Timeline scrubbing
+    elements.timelineTrack?.addEventListener('click', handleTimelineClick);
+    elements.timelineTrack?.addEventListener('pointermove', handleTimelineHover);
+    elements.timelineTrack?.addEventListener('pointerleave', hideTimelineTooltip);
+    elements.timelinePlayhead?.addEventListener('pointerdown', handlePlayheadDragStart);
+    elements.timelinePlayhead?.addEventListener('keydown', handlePlayheadKeydown);
 
     // Pro mode
     elements.proModeToggle?.addEventListener('change', handleProModeToggle);
@@ -159,8 +488,13 @@ const UIController = (function() {
     // Snackbar
     elements.snackbarDismiss?.addEventListener('click', hideSnackbar);
 
-    // Session complete event
+    // Session events
+    window.addEventListener('sessionStateChange', handleSessionStateChange);
     window.addEventListener('sessionComplete', handleSessionComplete);
+    window.addEventListener('playlistItemChange', handlePlaylistItemChange);
+    window.addEventListener('pomodoroChange', handlePomodoroChange);
+    window.addEventListener('exposureChange', handleExposureChange);
+    window.addEventListener('outputDeviceChange', handleOutputDeviceChange);
 
     // Record interactions for Pro Mode
     document.addEventListener('click', () => {
@@ -184,6 +518,34 @@ const UIController = (function() {
 
     // Texture slider
     elements.textureSlider?.addEventListener('input', handleTextureChange);
+    elements.textureSlider?.addEventListener('change', () => {
+      textureSliderStart = null;
+    });
+
+    // Density paint tools
+    elements.densityToolChips?.querySelectorAll('.chip').forEach(chip => {
+      chip.addEventListener('click', handleDensityToolChange);
+    });
+    elements.densityBrushSizes?.querySelectorAll('.segmented-button').forEach(btn => {
+      btn.addEventListener('click', handleDensityBrushSizeChange);
+    });
+    elements.densitySmoothingSlider?.addEventListener('input', e => {
+      densityBrush.smoothing = e.target.value / 100;
+    });
+    elements.clearDensityBtn?.addEventListener('click', handleClearDensity);
+
+    // Noise source chips and level
+    elements.noiseTypeChips?.querySelectorAll('.chip').forEach(chip => {
+      chip.addEventListener('click', handleNoiseTypeChange);
+    });
+    elements.noiseLevelSlider?.addEventListener('input', handleNoiseLevelChange);
+
+    // Ambience controls
+    elements.ambienceToggle?.addEventListener('change', handleAmbienceToggle);
+    elements.ambienceSampleSelect?.addEventListener('change', handleAmbienceSampleChange);
+    elements.importSampleBtn?.addEventListener('click', () => elements.sampleFileInput?.click());
+    elements.sampleFileInput?.addEventListener('change', handleSampleImport);
+    elements.deleteSampleBtn?.addEventListener('click', handleDeleteSample);
 
     // Modulation chips
     document.querySelectorAll('[data-layer="modulation"] .chip').forEach(chip => {
@@ -194,9 +556,54 @@ const UIController = (function() {
     const intensityDots = document.querySelector('.intensity-dots');
     intensityDots?.addEventListener('click', handleIntensityChange);
 
+    // Modulation LFOs
+    elements.addModulationLfoBtn?.addEventListener('click', handleAddModulationLfo);
+    elements.rerollModulationBtn?.addEventListener('click', handleRerollModulation);
+    elements.modulationLfoList?.addEventListener('input', handleModulationLfoInput);
+    elements.modulationLfoList?.addEventListener('click', handleModulationLfoRemove);
+
+    // Spatial controls
+    elements.spatialToggle?.addEventListener('change', handleSpatialToggle);
+    document.querySelectorAll('[data-layer="spatial"] .segmented-button').forEach(btn => {
+      btn.addEventListener('click', handleSpatialModeChange);
+    });
+    elements.spatialDistanceSlider?.addEventListener('input', handleSpatialDistanceChange);
+
+    // Binaural controls
+    elements.binauralToggle?.addEventListener('change', handleBinauralToggle);
+    document.querySelectorAll('[data-layer="binaural"] .segmented-button').forEach(btn => {
+      btn.addEventListener('click', handleBinauralCarrierChange);
+    });
+    elements.binauralMixSlider?.addEventListener('input', handleBinauralMixChange);
+
+    // Isochronic controls
+    elements.isochronicToggle?.addEventListener('change', handleIsochronicToggle);
+    elements.pulseShapeChips?.querySelectorAll('.chip').forEach(chip => {
+      chip.addEventListener('click', handlePulseShapeChange);
+    });
+    elements.pulseDutySlider?.addEventListener('input', handlePulseDutyChange);
+
+    // Tonal voice controls
+    elements.addToneVoiceBtn?.addEventListener('click', handleAddToneVoice);
+    elements.toneVoiceList?.addEventListener('input', handleToneVoiceInput);
+    elements.toneVoiceList?.addEventListener('change', handleToneVoiceInput);
+    elements.toneVoiceList?.addEventListener('click', handleToneVoiceRemove);
+
+    // Envelope controls
+    elements.envelopeSliders.forEach(slider => {
+      slider.addEventListener('input', handleEnvelopeChange);
+    });
+
     // Canvas interactions
-    elements.baseFrequencyEditor?.addEventListener('pointerdown', handleCurveEditorStart);
+    Object.keys(CURVE_EDITORS).forEach(id => {
+      elements[id]?.addEventListener('pointerdown', handleCurveEditorStart);
+    });
     elements.textureEditor?.addEventListener('pointerdown', handleDensityEditorStart);
+    elements.textureEditor?.addEventListener('pointermove', handleDensityEditorHover);
+    elements.textureEditor?.addEventListener('pointerleave', () => {
+      densityCursor = null;
+      renderDensityEditor();
+    });
   }
 
   /**
@@ -207,8 +614,12 @@ const UIController = (function() {
     const timelineCanvases = [
       'baseFrequencyCanvas',
       'textureCanvas',
+      'ambienceCanvas',
       'modulationCanvas',
-      'silenceCanvas'
+      'spatialCanvas',
+      'silenceCanvas',
+      'binauralCanvas',
+      'isochronicCanvas'
     ];
 
     timelineCanvases.forEach(id => {
@@ -220,7 +631,7 @@ const UIController = (function() {
     });
 
     // Editor canvases
-    const editorCanvases = ['baseFrequencyEditor', 'textureEditor'];
+    const editorCanvases = [...Object.keys(CURVE_EDITORS), 'textureEditor'];
     editorCanvases.forEach(id => {
       const canvas = elements[id];
       if (canvas) {
@@ -266,10 +677,23 @@ const UIController = (function() {
     // Load settings
     const settings = DataModel.getSettings();
     elements.masterVolumeSlider.value = settings.masterVolume * 100;
+    elements.volumeCeilingSlider.value = settings.volumeCeiling * 100;
+    elements.exposureProtectionSelect.value = settings.exposureProtection;
     elements.notificationToggle.checked = settings.notificationsEnabled;
+    elements.checkInToggle.checked = settings.checkInEnabled;
+    elements.visualizerToggle.checked = settings.visualizerEnabled;
     elements.proModeToggle.checked = settings.proModeEnabled;
+    elements.outputDeviceItem.hidden = !AudioEngine.isOutputSelectionSupported();
+    AudioEngine.setOutputDevice(settings.outputDeviceId);
     AudioEngine.setMasterVolume(settings.masterVolume);
+    AudioEngine.setVolumeCeiling(settings.volumeCeiling);
     AudioEngine.setProMode(settings.proModeEnabled);
+    handleExposureChange();
+
+    SessionVisualizer.init(elements.visualizerCanvas);
+    updateVisualizer();
+
+    loadSamples();
 
     // Load current profile or create default
     let currentProfile = DataModel.getCurrentProfile();
@@ -286,17 +710,26 @@ const UIController = (function() {
    * Load a profile into the editor
    */
   function loadProfile(profile) {
+    PomodoroScheduler.cancel();
     workingProfile = DataModel.createWorkingCopy(profile);
     AudioEngine.loadProfile(workingProfile);
+    updatePlaylistLabel(null);
+    showWorkingProfile();
+  }
 
-    // Update UI
+  /**
+   * Show the working profile in the session card, timeline and layer editors
+   */
+  function showWorkingProfile() {
     elements.currentProfileName.textContent = workingProfile.name;
-    elements.timelineDuration.textContent = DataModel.formatDuration(workingProfile.duration);
-    elements.timerDisplay.textContent = DataModel.formatTime(workingProfile.duration);
+    elements.timelineDuration.textContent = getDurationLabel(workingProfile);
+    updateTimerDisplay();
 
     // Render timeline
     renderTimelineRuler();
     renderAllCanvases();
+    renderToneVoices();
+    renderModulationLfos();
     renderSilenceBlocks();
 
     // Update layer controls
@@ -310,16 +743,24 @@ const UIController = (function() {
     if (!workingProfile) return;
 
     // Update texture slider
-    const textureDensity = workingProfile.layers.texture.densityMap[0]?.value || 0.3;
-    elements.textureSlider.value = textureDensity * 100;
+    elements.textureSlider.value = workingProfile.layers.texture.baseDensity * 100;
 
-    // Update modulation type
-    const modType = workingProfile.layers.modulation.type;
-    document.querySelectorAll('[data-layer="modulation"] .chip').forEach(chip => {
-      const isSelected = chip.dataset.value === modType;
+    // Update noise source
+    const { noiseType, noiseLevel } = workingProfile.layers.texture;
+    elements.noiseTypeChips?.querySelectorAll('.chip').forEach(chip => {
+      const isSelected = chip.dataset.value === noiseType;
       chip.classList.toggle('chip--selected', isSelected);
       chip.setAttribute('aria-checked', isSelected);
     });
+    elements.noiseLevelSlider.value = noiseLevel * 100;
+    elements.noiseLevelSlider.disabled = noiseType === 'none';
+
+    // Update ambience
+    elements.ambienceToggle.checked = workingProfile.layers.ambience.enabled;
+    renderAmbienceControls();
+
+    // Update modulation preset
+    updateModulationChips(workingProfile.layers.modulation.type);
 
     // Update intensity dots
     const intensity = workingProfile.layers.modulation.intensity;
@@ -342,6 +783,67 @@ const UIController = (function() {
       const isSelected = btn.dataset.value === preset;
       btn.setAttribute('aria-checked', isSelected);
     });
+
+    // Update spatial controls
+    const spatial = workingProfile.layers.spatial;
+    elements.spatialToggle.checked = spatial.enabled;
+    elements.spatialDistanceSlider.value = spatial.distance;
+    updateSpatialModeControls();
+
+    // Update binaural controls
+    const binaural = workingProfile.layers.binaural;
+    elements.binauralToggle.checked = binaural.enabled;
+    elements.binauralMixSlider.value = binaural.mix * 100;
+    document.querySelectorAll('[data-layer="binaural"] .segmented-button').forEach(btn => {
+      btn.setAttribute('aria-checked', BINAURAL_CARRIERS[btn.dataset.value] === binaural.carrier);
+    });
+
+    // Update isochronic controls
+    const isochronic = workingProfile.layers.isochronic;
+    elements.isochronicToggle.checked = isochronic.enabled;
+    elements.pulseDutySlider.value = isochronic.duty * 100;
+    elements.pulseShapeChips?.querySelectorAll('.chip').forEach(chip => {
+      const isSelected = chip.dataset.value === isochronic.shape;
+      chip.classList.toggle('chip--selected', isSelected);
+      chip.setAttribute('aria-checked', isSelected);
+    });
+
+    // Update envelope controls
+    elements.envelopeSliders.forEach(slider => {
+      slider.value = workingProfile.envelope[slider.dataset.envelope];
+      updateEnvelopeValue(slider);
+    });
+
+    updateOptionalLayerVisibility();
+  }
+
+  /**
+   * Show an envelope slider's value in seconds
+   * @param {HTMLInputElement} slider - Envelope slider
+   */
+  function updateEnvelopeValue(slider) {
+    const label = document.getElementById(`${slider.dataset.envelope}Value`);
+    if (label) {
+      label.textContent = `${parseFloat(slider.value)}秒`;
+    }
+  }
+
+  /**
+   * Show timeline lanes of optional layers (and the headphones hint) only when they are on
+   */
+  function updateOptionalLayerVisibility() {
+    ['ambience', 'spatial', 'binaural', 'isochronic'].forEach(layer => {
+      const lane = elements[`${layer}Canvas`]?.parentElement;
+      if (lane) {
+        lane.hidden = !workingProfile?.layers[layer].enabled;
+      }
+    });
+
+    if (elements.headphonesHint) {
+      const layers = workingProfile?.layers;
+      const hrtf = layers?.spatial.enabled && layers.spatial.mode === 'hrtf';
+      elements.headphonesHint.hidden = !(layers?.binaural.enabled || hrtf);
+    }
   }
 
   /**
@@ -358,9 +860,13 @@ const UIController = (function() {
   function renderAllCanvases() {
     renderTimelineLayer('baseFrequencyCanvas', 'baseFrequency');
     renderTimelineLayer('textureCanvas', 'texture');
+    renderTimelineLayer('ambienceCanvas', 'ambience');
     renderTimelineLayer('modulationCanvas', 'modulation');
+    renderTimelineLayer('spatialCanvas', 'spatial');
     renderTimelineLayer('silenceCanvas', 'silence');
-    renderCurveEditor();
+    renderTimelineLayer('binauralCanvas', 'binaural');
+    renderTimelineLayer('isochronicCanvas', 'isochronic');
+    Object.keys(CURVE_EDITORS).forEach(renderCurveEditor);
     renderDensityEditor();
   }
 
@@ -382,7 +888,11 @@ const UIController = (function() {
       baseFrequency: '#6750A4',
       texture: '#7D5260',
       modulation: '#625B71',
-      silence: '#79747E'
+      silence: '#79747E',
+      ambience: CURVE_EDITORS.ambienceEditor.color,
+      spatial: CURVE_EDITORS.spatialEditor.color,
+      binaural: CURVE_EDITORS.binauralEditor.color,
+      isochronic: CURVE_EDITORS.isochronicEditor.color
     };
     const color = layerColors[layerType] || '#6750A4';
 
@@ -397,7 +907,16 @@ const UIController = (function() {
         renderModulationOnTimeline(ctx, width, height, workingProfile.layers.modulation, color);
         break;
       case 'silence':
-        renderSilenceOnTimeline(ctx, width, height, workingProfile.layers.silence.blocks, color);
+        renderSilenceOnTimeline(ctx, width, height, color);
+        break;
+      case 'ambience':
+      case 'spatial':
+      case 'binaural':
+      case 'isochronic':
+        if (workingProfile.layers[layerType].enabled) {
+          const { getCurve, min, max } = CURVE_EDITORS[`${layerType}Editor`];
+          renderCurveOnTimeline(ctx, width, height, normalizeCurve(getCurve(workingProfile), min, max), color);
+        }
         break;
     }
   }
@@ -444,74 +963,95 @@ const UIController = (function() {
    */
   function renderDensityOnTimeline(ctx, width, height, densityMap, color) {
     if (!densityMap || densityMap.length === 0) return;
+    renderDensityHeatmap(ctx, width, height, densityMap, color);
+  }
 
-    const density = densityMap[0].value;
-    ctx.fillStyle = color + Math.round(density * 80 + 20).toString(16).padStart(2, '0');
-    ctx.fillRect(0, 0, width, height);
+  /**
+   * Fill columns across the session, more opaque where the texture is rougher
+   */
+  function renderDensityHeatmap(ctx, width, height, densityMap, color) {
+    for (let x = 0; x < width; x += DENSITY_COLUMN_WIDTH) {
+      const progress = Math.min(1, (x + DENSITY_COLUMN_WIDTH / 2) / width);
+      const density = Math.max(0, Math.min(1, ProfileAutomation.interpolateCurve(densityMap, progress)));
+      ctx.fillStyle = color + Math.round(density * 200 + 20).toString(16).padStart(2, '0');
+      ctx.fillRect(x, 0, DENSITY_COLUMN_WIDTH, height);
+    }
   }
 
   /**
    * Render modulation on timeline
+   * Draws the combined LFO movement the session will actually play
    */
   function renderModulationOnTimeline(ctx, width, height, modulation, color) {
-    const { type, intensity } = modulation;
+    const count = Math.max(2, Math.round(width));
+    const samples = ProfileAutomation.sampleModulation(modulation, workingProfile.duration, count);
 
     ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.beginPath();
 
     const midY = height / 2;
-    const amplitude = (height / 3) * intensity;
-
-    for (let x = 0; x < width; x++) {
-      let y = midY;
-      const t = x / width;
-
-      switch (type) {
-        case 'gentle':
-          y = midY + Math.sin(t * Math.PI * 4) * amplitude;
-          break;
-        case 'irregular':
-          y = midY + (Math.sin(t * Math.PI * 6) + Math.sin(t * Math.PI * 11) * 0.5) * amplitude * 0.7;
-          break;
-        default: // stable
-          y = midY;
-      }
+    const amplitude = height / 2 - ctx.lineWidth;
 
-      if (x === 0) {
+    samples.forEach((value, index) => {
+      const x = (index / (count - 1)) * width;
+      const y = midY - Math.max(-1, Math.min(1, value)) * amplitude;
+
+      if (index === 0) {
         ctx.moveTo(x, y);
       } else {
         ctx.lineTo(x, y);
       }
-    }
+    });
 
     ctx.stroke();
   }
 
   /**
-   * Render silence blocks on timeline
+   * Render silence blocks and session fades on timeline
+   * The filled height shows how far the level is pulled down, ramps included
    */
-  function renderSilenceOnTimeline(ctx, width, height, blocks, color) {
-    if (!blocks || !workingProfile) return;
+  function renderSilenceOnTimeline(ctx, width, height, color) {
+    if (!workingProfile) return;
 
-    const duration = workingProfile.duration;
+    const curves = [
+      ProfileAutomation.getEnvelopeCurve(workingProfile),
+      ProfileAutomation.getSilenceCurve(workingProfile)
+    ];
 
-    blocks.forEach(block => {
-      const x = (block.start / duration) * width;
-      const w = (block.duration / duration) * width;
+    ctx.fillStyle = color + '80';
 
-      ctx.fillStyle = color + '80';
-      ctx.fillRect(x, 0, Math.max(w, 2), height);
+    curves.forEach(curve => {
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      curve.forEach(point => {
+        ctx.lineTo(point.time * width, point.value * height);
+      });
+      ctx.lineTo(width, height);
+      ctx.closePath();
+      ctx.fill();
     });
   }
 
   /**
-   * Render the curve editor canvas
+   * Map curve values from a layer's range to 0-1 for drawing
    */
-  function renderCurveEditor() {
-    const ctx = canvasContexts.baseFrequencyEditor;
-    const canvas = elements.baseFrequencyEditor;
-    if (!ctx || !canvas || !workingProfile) return;
+  function normalizeCurve(curve, min, max) {
+    return curve.map(point => ({
+      time: point.time,
+      value: (point.value - min) / (max - min)
+    }));
+  }
+
+  /**
+   * Render a curve editor canvas
+   * @param {string} editorId - Key of CURVE_EDITORS
+   */
+  function renderCurveEditor(editorId) {
+    const ctx = canvasContexts[editorId];
+    const canvas = elements[editorId];
+    const config = CURVE_EDITORS[editorId];
+    if (!ctx || !canvas || !config || !workingProfile) return;
 
     const rect = canvas.getBoundingClientRect();
     const width = rect.width;
@@ -533,10 +1073,10 @@ const UIController = (function() {
     }
 
     // Draw curve
-    const curve = workingProfile.layers.baseFrequency.curve;
+    const curve = normalizeCurve(config.getCurve(workingProfile), config.min, config.max);
     if (curve && curve.length > 0) {
       ctx.beginPath();
-      ctx.strokeStyle = '#6750A4';
+      ctx.strokeStyle = config.color;
       ctx.lineWidth = 3;
 
       curve.forEach((point, index) => {
@@ -559,7 +1099,7 @@ const UIController = (function() {
 
         ctx.beginPath();
         ctx.arc(x, y, 6, 0, Math.PI * 2);
-        ctx.fillStyle = '#6750A4';
+        ctx.fillStyle = config.color;
         ctx.fill();
         ctx.strokeStyle = '#FFFFFF';
         ctx.lineWidth = 2;
@@ -582,24 +1122,122 @@ const UIController = (function() {
 
     ctx.clearRect(0, 0, width, height);
 
-    const density = workingProfile.layers.texture.densityMap[0]?.value || 0.3;
+    const color = '#7D5260';
+    const { densityMap, baseDensity } = workingProfile.layers.texture;
+    renderDensityHeatmap(ctx, width, height, densityMap, color);
 
-    // Draw density visualization
-    ctx.fillStyle = '#7D5260' + Math.round(density * 150 + 50).toString(16).padStart(2, '0');
-    ctx.fillRect(0, 0, width, height);
+    // Base density the eraser paints back to
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#FFFFFFA0';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height - baseDensity * height);
+    ctx.lineTo(width, height - baseDensity * height);
+    ctx.stroke();
+    ctx.setLineDash([]);
 
-    // Draw noise pattern based on density
-    const dotCount = Math.floor(density * 200);
-    ctx.fillStyle = '#7D526080';
+    // Density line
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let x = 0; x <= width; x += DENSITY_COLUMN_WIDTH) {
+      const y = height - ProfileAutomation.interpolateCurve(densityMap, x / width) * height;
+      if (x === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
 
-    for (let i = 0; i < dotCount; i++) {
-      const x = Math.random() * width;
-      const y = Math.random() * height;
-      const size = Math.random() * 3 + 1;
+    // Brush outline: its reach across time, and the density it paints
+    if (densityCursor) {
+      const radius = DENSITY_BRUSH_SIZES[densityBrush.size] * width;
+      const target = densityBrush.tool === 'eraser' ? baseDensity : densityCursor.y;
+      const x = densityCursor.x * width;
+      const y = height - target * height;
+
+      ctx.fillStyle = '#FFFFFF30';
+      ctx.fillRect(x - radius, 0, radius * 2, height);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.moveTo(x - radius, y);
+      ctx.lineTo(x + radius, y);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Show the timeline tooltip with the time and layer values at a pointer position
+   */
+  function showTimelineTooltip(clientX) {
+    const tooltip = elements.timelineTooltip;
+    if (!tooltip || !workingProfile) return;
+
+    const rect = elements.timelineTrack.getBoundingClientRect();
+    const progress = getTimelineProgress(clientX);
+    const seconds = progress * workingProfile.duration;
+    const { layers } = workingProfile;
+
+    const baseFrequency = ProfileAutomation.interpolateCurve(layers.baseFrequency.curve, progress);
+    const texture = ProfileAutomation.interpolateCurve(layers.texture.densityMap, progress);
+    const isSilent = ProfileAutomation.isSilentAt(layers.silence.blocks, seconds);
+
+    const rows = [
+      ['ベース周波数', formatPercent(baseFrequency)],
+      ['テクスチャ', formatPercent(texture)],
+      ['モジュレーション', MODULATION_LABELS[layers.modulation.type] || MODULATION_LABELS.stable],
+      ['無音区間', isSilent ? '無音' : '—']
+    ];
+
+    if (layers.isochronic.enabled) {
+      const rate = ProfileAutomation.interpolateCurve(layers.isochronic.rateCurve, progress);
+      rows.splice(1, 0, ['アイソクロニック', `${rate.toFixed(1)} Hz`]);
+    }
+    if (layers.ambience.enabled) {
+      const level = ProfileAutomation.interpolateCurve(layers.ambience.levelCurve, progress);
+      rows.splice(rows.findIndex(([label]) => label === 'テクスチャ') + 1, 0, ['環境音', formatPercent(level)]);
+    }
+    if (layers.spatial.enabled) {
+      const azimuth = ProfileAutomation.interpolateCurve(layers.spatial.positionCurve, progress);
+      rows.splice(rows.length - 1, 0, ['空間', formatAzimuth(azimuth)]);
     }
+    if (layers.binaural.enabled) {
+      const beat = ProfileAutomation.interpolateCurve(layers.binaural.beatCurve, progress);
+      rows.push(['バイノーラル', `${beat.toFixed(1)} Hz`]);
+    }
+
+    tooltip.innerHTML = `
+      <div class="timeline-tooltip__time">${DataModel.formatTime(seconds)}</div>
+      ${rows.map(([label, value]) => `
+        <div class="timeline-tooltip__row"><span>${label}</span><span>${value}</span></div>
+      `).join('')}
+    `;
+
+    // Keep the tooltip inside the track
+    const x = clientX - rect.left;
+    const maxLeft = rect.width - tooltip.offsetWidth - 4;
+    tooltip.style.left = `${Math.max(4, Math.min(maxLeft, x + 8))}px`;
+    tooltip.classList.add('active');
+    tooltip.setAttribute('aria-hidden', 'false');
+  }
+
+  function hideTimelineTooltip() {
+    elements.timelineTooltip?.classList.remove('active');
+    elements.timelineTooltip?.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Get session progress (0-1) for a horizontal pointer position on the timeline
+   */
+  function getTimelineProgress(clientX) {
+    const rect = elements.timelineTrack.getBoundingClientRect();
+    return Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+  }
+
+  function formatPercent(value) {
+    return `${Math.round(Math.max(0, Math.min(1, value)) * 100)}%`;
   }
 
   /**
@@ -625,6 +1263,167 @@ const UIController = (function() {
     }
   }
 
+  /**
+   * Render the tonal voice rows of the base frequency layer
+   */
+  function renderToneVoices() {
+    if (!elements.toneVoiceList || !workingProfile) return;
+
+    const voices = workingProfile.layers.baseFrequency.voices;
+    const { min, max } = DataModel.TONE_DETUNE_RANGE;
+    elements.toneVoiceList.innerHTML = '';
+
+    voices.forEach((voice, index) => {
+      const row = document.createElement('div');
+      row.className = 'tone-voice';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <select class="tone-voice__ratio" data-field="ratio" aria-label="ボイス${index + 1}の音程">
+          ${getRatioOptions(voice.ratio)}
+        </select>
+        <input type="range" class="slider" data-field="level" min="0" max="100" value="${Math.round(voice.level * 100)}" aria-label="ボイス${index + 1}のレベル">
+        <input type="range" class="slider" data-field="detune" min="${min}" max="${max}" value="${voice.detune}" aria-label="ボイス${index + 1}のデチューン（セント）">
+        <span class="slider-value">${voice.detune}¢</span>
+        <button class="tone-voice__remove" aria-label="ボイス${index + 1}を削除" ${voices.length === 1 ? 'disabled' : ''}>
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      `;
+
+      elements.toneVoiceList.appendChild(row);
+    });
+
+    elements.addToneVoiceBtn.disabled = voices.length >= DataModel.MAX_TONE_VOICES;
+  }
+
+  /**
+   * Build the interval options for a tonal voice
+   * Ratios outside the preset list (e.g. from imported profiles) are kept as-is
+   * @param {number} selected - Current ratio
+   * @returns {string} Option elements
+   */
+  function getRatioOptions(selected) {
+    const options = TONE_RATIOS.map(({ ratio, label }) =>
+      `<option value="${ratio}" ${Math.abs(ratio - selected) < 1e-6 ? 'selected' : ''}>${label}</option>`
+    );
+
+    if (!TONE_RATIOS.some(({ ratio }) => Math.abs(ratio - selected) < 1e-6)) {
+      options.push(`<option value="${selected}" selected>×${Number(selected.toFixed(3))}</option>`);
+    }
+
+    return options.join('');
+  }
+
+  /**
+   * Render the LFO cards of the modulation layer
+   */
+  function renderModulationLfos() {
+    if (!elements.modulationLfoList || !workingProfile) return;
+
+    const { lfos } = workingProfile.layers.modulation;
+    elements.modulationLfoList.innerHTML = '';
+
+    lfos.forEach((lfo, index) => {
+      const card = document.createElement('div');
+      card.className = 'modulation-lfo';
+      card.dataset.index = index;
+      card.innerHTML = `
+        <div class="modulation-lfo__header">
+          <select class="modulation-lfo__select" data-field="waveform" aria-label="LFO${index + 1}の波形">
+            ${getSelectOptions(LFO_WAVEFORM_LABELS, lfo.waveform)}
+          </select>
+          <select class="modulation-lfo__select" data-field="target" aria-label="LFO${index + 1}の変調先">
+            ${getSelectOptions(LFO_TARGET_LABELS, lfo.target)}
+          </select>
+          <button class="modulation-lfo__remove" aria-label="LFO${index + 1}を削除">
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+        <div class="slider-control">
+          <span class="slider-label">速さ</span>
+          <input type="range" class="slider" data-field="rate" min="0" max="100" value="${rateToSlider(lfo.rate)}" aria-label="LFO${index + 1}の速さ">
+          <span class="slider-value">${formatLfoRate(lfo.rate)}</span>
+        </div>
+        <div class="slider-control">
+          <span class="slider-label">深さ</span>
+          <input type="range" class="slider" data-field="depth" min="0" max="100" value="${Math.round(lfo.depth * 100)}" aria-label="LFO${index + 1}の深さ">
+          <span class="slider-value">${Math.round(lfo.depth * 100)}%</span>
+        </div>
+      `;
+
+      elements.modulationLfoList.appendChild(card);
+    });
+
+    elements.addModulationLfoBtn.disabled = lfos.length >= DataModel.MAX_MODULATION_LFOS;
+    updateRerollButton();
+  }
+
+  /**
+   * Re-rolling only changes something when an LFO has a random waveform
+   */
+  function updateRerollButton() {
+    const { lfos } = workingProfile.layers.modulation;
+    elements.rerollModulationBtn.disabled = !lfos.some(lfo => RANDOM_LFO_WAVEFORMS.includes(lfo.waveform));
+  }
+
+  /**
+   * Build option elements from a value → label map
+   * @param {Object} labels - Labels keyed by option value
+   * @param {string} selected - Selected value
+   * @returns {string} Option elements
+   */
+  function getSelectOptions(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+      `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+  }
+
+  /**
+   * Map an LFO rate to its slider position
+   * The slider is logarithmic, so slow drifts and faster wobbles get equal room
+   * @param {number} rate - Rate in Hz
+   * @returns {number} Slider position (0-100)
+   */
+  function rateToSlider(rate) {
+    const { min, max } = DataModel.MODULATION_RATE_RANGE;
+    const clamped = Math.max(min, Math.min(max, rate));
+    return Math.round(100 * Math.log(clamped / min) / Math.log(max / min));
+  }
+
+  /**
+   * Map a slider position to an LFO rate
+   * @param {number} position - Slider position (0-100)
+   * @returns {number} Rate in Hz
+   */
+  function sliderToRate(position) {
+    const { min, max } = DataModel.MODULATION_RATE_RANGE;
+    return Number((min * Math.pow(max / min, position / 100)).toFixed(3));
+  }
+
+  /**
+   * Format an LFO rate, as a period for slow drifts
+   * @param {number} rate - Rate in Hz
+   * @returns {string} Formatted rate
+   */
+  function formatLfoRate(rate) {
+    return rate < 0.1 ? `${Math.round(1 / rate)}秒周期` : `${rate.toFixed(2)}Hz`;
+  }
+
+  /**
+   * Describe a spatial azimuth
+   * @param {number} azimuth - Azimuth in degrees (0 = front, negative = left)
+   * @returns {string} Direction label
+   */
+  function formatAzimuth(azimuth) {
+    const angle = Math.round(Math.abs(azimuth));
+    if (angle < 5) return '正面';
+    if (angle > 175) return '背後';
+    return `${azimuth < 0 ? '左' : '右'} ${angle}°`;
+  }
+
   /**
    * Render silence blocks
    */
@@ -673,6 +1472,7 @@ const UIController = (function() {
 
     const profiles = DataModel.getAllProfiles();
     const currentId = DataModel.getCurrentProfileId();
+    const checkIns = DataModel.getCheckInSummaries();
 
     elements.profileList.innerHTML = '';
 
@@ -682,8 +1482,14 @@ const UIController = (function() {
       li.innerHTML = `
         <div class="profile-item__info">
           <span class="profile-item__name">${profile.name}</span>
-          <span class="profile-item__duration">${DataModel.formatDuration(profile.duration)}</span>
+          <span class="profile-item__duration">${getDurationLabel(profile)}</span>
+          ${checkIns[profile.id] ? `<span class="profile-item__check-in">${getCheckInLabel(checkIns[profile.id])}</span>` : ''}
         </div>
+        <button class="profile-item__export" ${getExportButtonAttributes(profile)}>
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+          </svg>
+        </button>
         ${!profile.isPreset ? `
           <button class="profile-item__delete" data-id="${profile.id}" aria-label="削除">
             <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
@@ -694,11 +1500,16 @@ const UIController = (function() {
       `;
 
       li.addEventListener('click', (e) => {
-        if (!e.target.closest('.profile-item__delete')) {
+        if (!e.target.closest('.profile-item__delete, .profile-item__export')) {
           selectProfile(profile.id);
         }
       });
 
+      li.querySelector('.profile-item__export').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleExportProfile(profile.id);
+      });
+
       const deleteBtn = li.querySelector('.profile-item__delete');
       if (deleteBtn) {
         deleteBtn.addEventListener('click', (e) => {
@@ -731,105 +1542,248 @@ const UIController = (function() {
   function handlePlayPause() {
     if (AudioEngine.getIsPlaying()) {
       AudioEngine.pause();
-      setPlaybackState(false);
     } else {
       AudioEngine.play();
-      setPlaybackState(true);
     }
   }
 
-  function setPlaybackState(isPlaying) {
+  function handleSessionStateChange(event) {
+    setPlaybackState(event.detail.state);
+  }
+
+  function setPlaybackState(state) {
+    const isPlaying = state === AudioEngine.SESSION_STATES.PLAYING;
+
     elements.playIcon.style.display = isPlaying ? 'none' : 'block';
     elements.pauseIcon.style.display = isPlaying ? 'block' : 'none';
+    elements.playPauseBtn.setAttribute('aria-label', isPlaying ? '一時停止' : '再生');
     elements.statusIndicator.classList.toggle('playing', isPlaying);
-    elements.statusText.textContent = isPlaying ? '再生中' : '一時停止';
+    elements.statusText.textContent = STATUS_LABELS[state] || STATUS_LABELS.idle;
+    elements.stopBtn.hidden = !isPlaying && state !== AudioEngine.SESSION_STATES.PAUSED;
 
     if (isPlaying) {
       startTimerUpdate();
     } else {
       stopTimerUpdate();
+      updateTimerDisplay();
     }
+    updateVisualizer();
   }
 
-  function startTimerUpdate() {
-    stopTimerUpdate();
-    timerIntervalId = setInterval(() => {
-      const { remaining, progress } = AudioEngine.getProgress();
-      elements.timerDisplay.textContent = DataModel.formatTime(remaining);
-      
-      // Update playhead position
-      if (elements.timelinePlayhead) {
-        elements.timelinePlayhead.style.left = `${progress * 100}%`;
-      }
-    }, 100);
-  }
+  /**
+   * Show the visualizer as set, drawing only while a session plays
+   */
+  function updateVisualizer() {
+    const { visualizerEnabled, visualizerMode } = DataModel.getSettings();
+    elements.sessionVisualizer.hidden = !visualizerEnabled;
+    elements.sessionVisualizer.querySelectorAll('.segmented-button').forEach(btn => {
+      btn.setAttribute('aria-checked', btn.dataset.value === visualizerMode);
+    });
 
-  function stopTimerUpdate() {
-    if (timerIntervalId) {
-      clearInterval(timerIntervalId);
-      timerIntervalId = null;
+    SessionVisualizer.setMode(visualizerMode);
+    if (visualizerEnabled && AudioEngine.getIsPlaying()) {
+      SessionVisualizer.start();
+    } else {
+      SessionVisualizer.stop();
     }
   }
 
-  function handleSessionComplete(event) {
-    setPlaybackState(false);
+  function handleVisualizerModeChange(e) {
+    DataModel.updateSetting('visualizerMode', e.currentTarget.dataset.value);
+    updateVisualizer();
+  }
+
+  function handleVisualizerToggle(e) {
+    DataModel.updateSetting('visualizerEnabled', e.target.checked);
+    updateVisualizer();
+  }
+
+  function startTimerUpdate() {
     stopTimerUpdate();
+    updateTimerDisplay();
+    timerIntervalId = setInterval(updateTimerDisplay, 100);
+  }
 
-    const { profileName, wasAdapted } = event.detail;
+  function updateTimerDisplay() {
+    const { elapsed, remaining, progress } = AudioEngine.getProgress();
 
-    // Add to history
-    DataModel.addToHistory({
-      profileId: event.detail.profileId,
-      profileName,
-      duration: event.detail.duration,
-      completed: true
-    });
+    // An open-ended session counts up
+    elements.timerDisplay.textContent = DataModel.formatTime(remaining === Infinity ? elapsed : remaining);
 
-    // Show completion message
-    let message = 'セッションが完了しました';
-    if (wasAdapted) {
-      message = 'このセッションでは音が自動調整されました';
+    // Update playhead position
+    if (elements.timelinePlayhead) {
+      elements.timelinePlayhead.style.left = `${progress * 100}%`;
+      elements.timelinePlayhead.setAttribute('aria-valuenow', Math.round(progress * 100));
     }
-    showSnackbar(message);
 
-    // Reset timer display
-    elements.timerDisplay.textContent = DataModel.formatTime(workingProfile?.duration || 0);
-    elements.timelinePlayhead.style.left = '0';
-
-    // Show notification if enabled
-    const settings = DataModel.getSettings();
-    if (settings.notificationsEnabled && 'Notification' in window && Notification.permission === 'granted') {
-      new Notification('Focus Lab', {
-        body: `${profileName}セッションが完了しました`,
-        icon: 'icons/icon-192.svg'
-      });
+    // Follow the exposure of the stretch playing now
+    if (AudioEngine.getIsPlaying() && Date.now() - lastExposureCheck >= EXPOSURE_CHECK_INTERVAL) {
+      handleExposureChange();
     }
   }
 
-  function handleAccordionClick(e) {
-    const header = e.currentTarget;
-    const accordion = header.closest('.layer-accordion');
-    const isExpanded = header.getAttribute('aria-expanded') === 'true';
+  function seekToTimelinePosition(clientX) {
+    if (!workingProfile) return;
+    AudioEngine.seekToPosition(getTimelineProgress(clientX) * workingProfile.duration);
+    updateTimerDisplay();
+  }
 
-    // Close all accordions
-    elements.accordionHeaders.forEach(h => {
-      h.setAttribute('aria-expanded', 'false');
-    });
+  function handleTimelineClick(e) {
+    if (e.target === elements.timelinePlayhead) return;
+    seekToTimelinePosition(e.clientX);
+  }
 
-    // Open clicked one if it wasn't already open
-    if (!isExpanded) {
-      header.setAttribute('aria-expanded', 'true');
-      activeAccordion = accordion.dataset.layer;
+  function handleTimelineHover(e) {
+    if (e.pointerType !== 'mouse') return;
+    showTimelineTooltip(e.clientX);
+  }
 
-      // Re-render the editor canvas for this layer
-      setTimeout(() => {
-        if (activeAccordion === 'baseFrequency') {
-          resizeCanvas(elements.baseFrequencyEditor);
-          renderCurveEditor();
-        } else if (activeAccordion === 'texture') {
-          resizeCanvas(elements.textureEditor);
-          renderDensityEditor();
-        }
+  function handlePlayheadDragStart(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    elements.timelineTrack.classList.add('timeline-track--scrubbing');
+
+    const handleMove = (e) => {
+      seekToTimelinePosition(e.clientX);
+      showTimelineTooltip(e.clientX);
+    };
+
+    const handleEnd = () => {
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleEnd);
+      elements.timelineTrack.classList.remove('timeline-track--scrubbing');
+      hideTimelineTooltip();
+    };
+
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleEnd);
+  }
+
+  function handlePlayheadKeydown(e) {
+    if (e.code !== 'ArrowLeft' && e.code !== 'ArrowRight') return;
+    e.preventDefault();
+
+    const { elapsed } = AudioEngine.getProgress();
+    const step = e.code === 'ArrowLeft' ? -SEEK_STEP : SEEK_STEP;
+    AudioEngine.seek(elapsed + step);
+    updateTimerDisplay();
+  }
+
+  function stopTimerUpdate() {
+    if (timerIntervalId) {
+      clearInterval(timerIntervalId);
+      timerIntervalId = null;
+    }
+  }
+
+  /**
+   * Tell that a session (playlist item, playlist, Pomodoro interval) has completed
+   * The session is added to history by SessionTracker.
+   */
+  function handleSessionComplete(event) {
+    const { scope, profileName, wasAdapted, playlist } = event.detail;
+
+    if (PomodoroScheduler.isActive()) {
+      handlePomodoroIntervalComplete();
+      return;
+    }
+
+    // The last item's entry has been recorded just before, so the whole run can be rated
+    if (scope === 'playlist') {
+      showSnackbar(`プレイリスト「${playlist.name}」が完了しました`);
+      showNotification(`${playlist.name}プレイリストが完了しました`);
+      openCheckInModal();
+      return;
+    }
+
+    // The user has just stopped an open-ended session, so there is nothing to notify
+    if (event.detail.openEnded) {
+      showSnackbar(`${DataModel.formatDuration(event.detail.duration)}のセッションを記録しました`);
+      openCheckInModal();
+      return;
+    }
+
+    // Within a playlist the next item is already playing; the last one is
+    // followed by the playlist's own completion
+    if (scope === 'playlistItem') {
+      if (playlist.index < playlist.count - 1) {
+        showSnackbar(`「${profileName}」が完了しました`);
+      }
+      return;
+    }
+
+    // Show completion message
+    let message = 'セッションが完了しました';
+    if (wasAdapted) {
+      message = 'このセッションでは音が自動調整されました';
+    }
+    showSnackbar(message);
+    showNotification(`${profileName}セッションが完了しました`);
+    openCheckInModal();
+  }
+
+  /**
+   * Show a system notification if enabled
+   * @param {string} body - Notification text
+   */
+  function showNotification(body) {
+    const settings = DataModel.getSettings();
+    if (settings.notificationsEnabled && 'Notification' in window && Notification.permission === 'granted') {
+      new Notification('Focus Lab', {
+        body,
+        icon: 'icons/icon-192.svg'
+      });
+    }
+  }
+
+  /**
+   * Show the playlist item the engine has moved on to
+   */
+  function handlePlaylistItemChange(event) {
+    const { playlist, profile } = event.detail;
+    workingProfile = profile;
+    updatePlaylistLabel(playlist);
+    showWorkingProfile();
+  }
+
+  /**
+   * Show the playing playlist and the position in it under the profile name
+   * @param {Object|null} playlist - Playlist info from AudioEngine.getPlaylist()
+   */
+  function updatePlaylistLabel(playlist) {
+    elements.currentPlaylistName.hidden = !playlist;
+    if (playlist) {
+      elements.currentPlaylistName.textContent = `${playlist.name}・${playlist.index + 1}/${playlist.count}`;
+    }
+  }
+
+  function handleAccordionClick(e) {
+    const header = e.currentTarget;
+    const accordion = header.closest('.layer-accordion');
+    const isExpanded = header.getAttribute('aria-expanded') === 'true';
+
+    // Close all accordions
+    elements.accordionHeaders.forEach(h => {
+      h.setAttribute('aria-expanded', 'false');
+    });
+
+    // Open clicked one if it wasn't already open
+    if (!isExpanded) {
+      header.setAttribute('aria-expanded', 'true');
+      activeAccordion = accordion.dataset.layer;
+
+      // Re-render the editor canvas for this layer
+      setTimeout(() => {
+        const curveEditorId = Object.keys(CURVE_EDITORS)
+          .find(id => CURVE_EDITORS[id].layer === activeAccordion);
+
+        if (curveEditorId) {
+          resizeCanvas(elements[curveEditorId]);
+          renderCurveEditor(curveEditorId);
+        } else if (activeAccordion === 'texture') {
+          resizeCanvas(elements.textureEditor);
+          renderDensityEditor();
+        }
       }, 200);
     } else {
       activeAccordion = null;
@@ -860,27 +1814,322 @@ const UIController = (function() {
     AudioEngine.previewLayer('baseFrequency', targetValue);
   }
 
+  /**
+   * Move the base density, and the painted map with it
+   * The map is shifted from where the drag started, so clamping at either end
+   * doesn't flatten the painting when the slider comes back.
+   */
   function handleTextureChange(e) {
+    const texture = workingProfile.layers.texture;
     const value = e.target.value / 100;
-    workingProfile.layers.texture.densityMap = [{ time: 0, value }];
-    renderAllCanvases();
+
+    if (!textureSliderStart) {
+      textureSliderStart = { densityMap: texture.densityMap, baseDensity: texture.baseDensity };
+    }
+
+    const offset = value - textureSliderStart.baseDensity;
+    texture.baseDensity = value;
+    texture.densityMap = textureSliderStart.densityMap.map(point => ({
+      time: point.time,
+      value: Math.max(0, Math.min(1, point.value + offset))
+    }));
+
+    renderDensityEditor();
+    renderTimelineLayer('textureCanvas', 'texture');
     AudioEngine.previewLayer('texture', value);
   }
 
-  function handleModulationTypeChange(e) {
+  function handleDensityToolChange(e) {
+    const chip = e.currentTarget;
+    densityBrush.tool = chip.dataset.value;
+
+    elements.densityToolChips.querySelectorAll('.chip').forEach(c => {
+      const isSelected = c === chip;
+      c.classList.toggle('chip--selected', isSelected);
+      c.setAttribute('aria-checked', isSelected);
+    });
+  }
+
+  function handleDensityBrushSizeChange(e) {
+    const btn = e.currentTarget;
+    densityBrush.size = btn.dataset.value;
+
+    elements.densityBrushSizes.querySelectorAll('.segmented-button').forEach(b => {
+      b.setAttribute('aria-checked', b === btn);
+    });
+  }
+
+  /**
+   * Erase the whole painting back to the base density
+   */
+  function handleClearDensity() {
+    const texture = workingProfile.layers.texture;
+    texture.densityMap = [{ time: 0, value: texture.baseDensity }];
+
+    renderDensityEditor();
+    renderTimelineLayer('textureCanvas', 'texture');
+    AudioEngine.previewLayer('texture', texture.baseDensity);
+  }
+
+  function handleNoiseTypeChange(e) {
     const chip = e.currentTarget;
-    const type = chip.dataset.value;
+    const texture = workingProfile.layers.texture;
 
     // Update UI
-    document.querySelectorAll('[data-layer="modulation"] .chip').forEach(c => {
+    elements.noiseTypeChips.querySelectorAll('.chip').forEach(c => {
       const isSelected = c === chip;
       c.classList.toggle('chip--selected', isSelected);
       c.setAttribute('aria-checked', isSelected);
     });
 
     // Update profile
-    workingProfile.layers.modulation.type = type;
+    texture.noiseType = chip.dataset.value;
+    elements.noiseLevelSlider.disabled = texture.noiseType === 'none';
+    AudioEngine.previewLayer('noise', { type: texture.noiseType, level: texture.noiseLevel });
+  }
+
+  function handleNoiseLevelChange(e) {
+    const texture = workingProfile.layers.texture;
+    texture.noiseLevel = e.target.value / 100;
+    AudioEngine.previewLayer('noise', { type: texture.noiseType, level: texture.noiseLevel });
+  }
+
+  /**
+   * Load the list of imported ambience samples
+   */
+  async function loadSamples() {
+    samples = await SampleStore.getAllSamples();
+    if (workingProfile) {
+      renderAmbienceControls();
+    }
+  }
+
+  /**
+   * Render the sample picker and flag a profile whose sample has been deleted
+   */
+  function renderAmbienceControls() {
+    const { sampleId, sampleName } = workingProfile.layers.ambience;
+    const select = elements.ambienceSampleSelect;
+    if (!select) return;
+
+    const available = SampleStore.isAvailable();
+    const sample = samples?.find(s => s.id === sampleId);
+    const missing = Boolean(sampleId) && samples !== null && !sample;
+
+    // Sample names come from file names, so options are built as nodes
+    select.replaceChildren();
+    if (!sample) {
+      const label = missing ? `${sampleName || '録音'}（見つかりません）` : '録音を選択';
+      const placeholder = new Option(label, '', true, true);
+      placeholder.disabled = true;
+      select.append(placeholder);
+    }
+    (samples || []).forEach(s => {
+      select.append(new Option(`${s.name}（${DataModel.formatTime(s.duration)}）`, s.id, false, s.id === sampleId));
+    });
+
+    select.disabled = !samples?.length;
+    elements.importSampleBtn.disabled = !available;
+    elements.deleteSampleBtn.disabled = !sample;
+
+    if (!available) {
+      elements.ambienceMissingText.textContent = 'このブラウザでは録音を保存できません';
+    } else if (missing) {
+      elements.ambienceMissingText.textContent = sampleName
+        ? `録音「${sampleName}」が見つかりません（削除された可能性があります）。環境音なしで再生されます`
+        : '録音が見つかりません（削除された可能性があります）。環境音なしで再生されます';
+    }
+    elements.ambienceMissingHint.hidden = available && !missing;
+  }
+
+  function handleAmbienceToggle(e) {
+    workingProfile.layers.ambience.enabled = e.target.checked;
+    updateOptionalLayerVisibility();
+    renderTimelineLayer('ambienceCanvas', 'ambience');
+    AudioEngine.updateAutomation();
+  }
+
+  /**
+   * Use another imported sample for the ambience layer
+   */
+  async function handleAmbienceSampleChange(e) {
+    const sample = samples.find(s => s.id === e.target.value);
+    if (!sample) return;
+
+    const ambience = workingProfile.layers.ambience;
+    ambience.sampleId = sample.id;
+    ambience.sampleName = sample.name;
+    setAmbienceEnabled();
+
+    // Preview once the recording is ready, unless another one was picked meanwhile
+    const loaded = await AudioEngine.loadSample(sample.id);
+    if (loaded && ambience.sampleId === sample.id) {
+      AudioEngine.previewLayer('ambience', getAverageValue(ambience.levelCurve));
+    }
+  }
+
+  /**
+   * Turn the ambience layer on after a sample was chosen for it
+   */
+  function setAmbienceEnabled() {
+    workingProfile.layers.ambience.enabled = true;
+    elements.ambienceToggle.checked = true;
+    renderAmbienceControls();
+    updateOptionalLayerVisibility();
+    renderTimelineLayer('ambienceCanvas', 'ambience');
+  }
+
+  /**
+   * Import the chosen audio file and use it for the ambience layer
+   */
+  async function handleSampleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    elements.importSampleBtn.disabled = true;
+    showSnackbar(`「${file.name}」を読み込み中…`);
+
+    try {
+      const sample = await AudioEngine.importSample(file);
+      samples = [...(samples || []), sample];
+
+      const ambience = workingProfile.layers.ambience;
+      ambience.sampleId = sample.id;
+      ambience.sampleName = sample.name;
+      setAmbienceEnabled();
+      AudioEngine.previewLayer('ambience', getAverageValue(ambience.levelCurve));
+
+      showSnackbar(`録音「${sample.name}」を読み込みました`);
+    } catch (error) {
+      console.error('Sample import failed:', error);
+      if (error.code === 'tooLarge') {
+        showSnackbar(`ファイルが大きすぎます（${SampleStore.MAX_FILE_SIZE / 1024 / 1024}MBまで）`);
+      } else if (error.code === 'tooShort') {
+        showSnackbar(`録音が短すぎます（${SampleStore.MIN_DURATION}秒以上が必要です）`);
+      } else {
+        showSnackbar('この音声ファイルは読み込めませんでした');
+      }
+    } finally {
+      renderAmbienceControls();
+    }
+  }
+
+  /**
+   * Delete the selected sample from the device
+   * Profiles that use it keep the reference and show it as missing
+   */
+  async function handleDeleteSample() {
+    const sample = samples?.find(s => s.id === workingProfile.layers.ambience.sampleId);
+    if (!sample) return;
+
+    if (!confirm(`録音「${sample.name}」を削除しますか？この録音を使うプロファイルでは環境音が鳴らなくなります。`)) return;
+
+    if (await SampleStore.deleteSample(sample.id)) {
+      samples = samples.filter(s => s.id !== sample.id);
+      renderAmbienceControls();
+      AudioEngine.updateAutomation();
+      showSnackbar('録音を削除しました');
+    }
+  }
+
+  function handleModulationTypeChange(e) {
+    const type = e.currentTarget.dataset.value;
+
+    // Update profile
+    const modulation = workingProfile.layers.modulation;
+    modulation.type = type;
+    modulation.lfos = DataModel.getModulationPreset(type);
+
+    // Update UI
+    updateModulationChips(type);
+    renderModulationLfos();
     renderAllCanvases();
+    AudioEngine.updateAutomation();
+  }
+
+  /**
+   * Show which modulation preset is selected (none once the LFOs are edited)
+   * @param {string} type - Modulation type
+   */
+  function updateModulationChips(type) {
+    document.querySelectorAll('[data-layer="modulation"] .chip').forEach(chip => {
+      const isSelected = chip.dataset.value === type;
+      chip.classList.toggle('chip--selected', isSelected);
+      chip.setAttribute('aria-checked', isSelected);
+    });
+  }
+
+  /**
+   * Apply an edit to the modulation LFOs
+   * @param {boolean} rerender - Rebuild the LFO cards (after adding or removing one)
+   */
+  function commitModulationEdit(rerender) {
+    workingProfile.layers.modulation.type = 'custom';
+    updateModulationChips('custom');
+    if (rerender) {
+      renderModulationLfos();
+    } else {
+      updateRerollButton();
+    }
+    renderTimelineLayer('modulationCanvas', 'modulation');
+    AudioEngine.updateAutomation();
+  }
+
+  /**
+   * Try another variation of the random LFOs
+   * The seed is saved with the profile, so a variation plays the same every time
+   */
+  function handleRerollModulation() {
+    const modulation = workingProfile.layers.modulation;
+    let seed = modulation.seed;
+    while (seed === modulation.seed) {
+      seed = Math.floor(Math.random() * DataModel.MODULATION_SEEDS);
+    }
+    modulation.seed = seed;
+
+    renderTimelineLayer('modulationCanvas', 'modulation');
+    AudioEngine.updateAutomation();
+  }
+
+  function handleAddModulationLfo() {
+    const { lfos } = workingProfile.layers.modulation;
+    if (lfos.length >= DataModel.MAX_MODULATION_LFOS) return;
+
+    lfos.push({ waveform: 'sine', rate: 0.1, depth: 0.5, target: 'pitch' });
+    commitModulationEdit(true);
+  }
+
+  function handleModulationLfoInput(e) {
+    const card = e.target.closest('.modulation-lfo');
+    const field = e.target.dataset.field;
+    if (!card || !field) return;
+
+    const lfo = workingProfile.layers.modulation.lfos[card.dataset.index];
+    const valueLabel = e.target.parentElement.querySelector('.slider-value');
+
+    switch (field) {
+      case 'rate':
+        lfo.rate = sliderToRate(parseFloat(e.target.value));
+        valueLabel.textContent = formatLfoRate(lfo.rate);
+        break;
+      case 'depth':
+        lfo.depth = e.target.value / 100;
+        valueLabel.textContent = `${e.target.value}%`;
+        break;
+      default: // waveform, target
+        lfo[field] = e.target.value;
+    }
+
+    commitModulationEdit(false);
+  }
+
+  function handleModulationLfoRemove(e) {
+    const button = e.target.closest('.modulation-lfo__remove');
+    if (!button) return;
+
+    workingProfile.layers.modulation.lfos.splice(button.closest('.modulation-lfo').dataset.index, 1);
+    commitModulationEdit(true);
   }
 
   function handleIntensityChange(e) {
@@ -899,32 +2148,36 @@ const UIController = (function() {
     // Update profile
     workingProfile.layers.modulation.intensity = intensity;
     renderAllCanvases();
+    AudioEngine.updateAutomation();
   }
 
   function handleCurveEditorStart(e) {
-    const canvas = elements.baseFrequencyEditor;
+    const canvas = e.currentTarget;
+    const editorId = canvas.id;
+    const config = CURVE_EDITORS[editorId];
     const rect = canvas.getBoundingClientRect();
 
     const updateCurve = (clientX, clientY) => {
       const x = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
       const y = Math.max(0, Math.min(1, 1 - (clientY - rect.top) / rect.height));
+      const value = config.min + y * (config.max - config.min);
 
       // Find or create point at this time
-      const curve = workingProfile.layers.baseFrequency.curve;
+      const curve = config.getCurve(workingProfile);
       let pointIndex = curve.findIndex(p => Math.abs(p.time - x) < 0.05);
 
       if (pointIndex === -1) {
         // Add new point
-        curve.push({ time: x, value: y });
+        curve.push({ time: x, value });
         curve.sort((a, b) => a.time - b.time);
       } else {
         // Update existing point
-        curve[pointIndex].value = y;
+        curve[pointIndex].value = value;
       }
 
-      renderCurveEditor();
-      renderTimelineLayer('baseFrequencyCanvas', 'baseFrequency');
-      AudioEngine.previewLayer('baseFrequency', y);
+      renderCurveEditor(editorId);
+      renderTimelineLayer(config.timelineCanvas, config.layer);
+      AudioEngine.previewLayer(config.layer, value);
     };
 
     const handleMove = (e) => {
@@ -945,27 +2198,92 @@ const UIController = (function() {
     handleMove(e);
   }
 
+  /**
+   * Get the brush position over the density editor
+   * @returns {Object} { x (time), y (density) }, both 0-1
+   */
+  function getDensityEditorPosition(clientX, clientY) {
+    const rect = elements.textureEditor.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)),
+      y: Math.max(0, Math.min(1, 1 - (clientY - rect.top) / rect.height))
+    };
+  }
+
+  function handleDensityEditorHover(e) {
+    if (e.buttons) return; // Painting moves the cursor itself
+
+    densityCursor = getDensityEditorPosition(e.clientX, e.clientY);
+    renderDensityEditor();
+  }
+
+  /**
+   * Paint the density map across time
+   * Each cell of the grid takes the value of the brush dab that reached it
+   * most strongly during the stroke, so going over the same stretch again
+   * repaints it instead of piling up.
+   */
   function handleDensityEditorStart(e) {
-    const canvas = elements.textureEditor;
-    const rect = canvas.getBoundingClientRect();
+    const texture = workingProfile.layers.texture;
+    const lastIndex = DENSITY_GRID_POINTS - 1;
+    const original = getDensityGrid(texture.densityMap);
+    const weights = new Float32Array(DENSITY_GRID_POINTS);
+    const targets = new Float32Array(DENSITY_GRID_POINTS);
+    let last = null;
+
+    // Half a cell at least, so the smallest brush always paints its own point
+    const radius = Math.max(0.5, DENSITY_BRUSH_SIZES[densityBrush.size] * lastIndex);
+    const { tool, smoothing } = densityBrush;
+
+    const dab = (x, y) => {
+      const center = x * lastIndex;
+      const target = tool === 'eraser' ? texture.baseDensity : y;
+      const first = Math.max(0, Math.ceil(center - radius));
+      const end = Math.min(lastIndex, Math.floor(center + radius));
+
+      for (let i = first; i <= end; i++) {
+        const weight = getBrushWeight(Math.abs(i - center), radius, smoothing);
+        if (weight > 0 && weight >= weights[i]) {
+          weights[i] = weight;
+          targets[i] = target;
+        }
+      }
+    };
+
+    const updateDensity = (clientX, clientY) => {
+      const position = getDensityEditorPosition(clientX, clientY);
+
+      // Fill in between pointer events so fast strokes leave no gaps
+      const from = last || position;
+      const steps = Math.max(1, Math.ceil(Math.abs(position.x - from.x) * lastIndex));
+      for (let step = 1; step <= steps; step++) {
+        const t = step / steps;
+        dab(from.x + (position.x - from.x) * t, from.y + (position.y - from.y) * t);
+      }
+      last = position;
+
+      const grid = original.map((value, i) => value + (targets[i] - value) * weights[i]);
+      texture.densityMap = toDensityMap(grid);
+      densityCursor = position;
 
-    const updateDensity = (clientY) => {
-      const y = Math.max(0, Math.min(1, 1 - (clientY - rect.top) / rect.height));
-      workingProfile.layers.texture.densityMap = [{ time: 0, value: y }];
-      elements.textureSlider.value = y * 100;
       renderDensityEditor();
       renderTimelineLayer('textureCanvas', 'texture');
-      AudioEngine.previewLayer('texture', y);
+      AudioEngine.previewLayer('texture', ProfileAutomation.interpolateCurve(texture.densityMap, position.x));
     };
 
     const handleMove = (e) => {
+      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
       const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-      updateDensity(clientY);
+      updateDensity(clientX, clientY);
     };
 
     const handleEnd = () => {
       document.removeEventListener('pointermove', handleMove);
       document.removeEventListener('pointerup', handleEnd);
+
+      // Hovering brings the outline back while the pointer is over the editor
+      densityCursor = null;
+      renderDensityEditor();
     };
 
     document.addEventListener('pointermove', handleMove);
@@ -975,43 +2293,417 @@ const UIController = (function() {
     handleMove(e);
   }
 
-  function handleAddSilence() {
-    if (!workingProfile) return;
-
-    const duration = workingProfile.duration;
-    const blocks = workingProfile.layers.silence.blocks;
-
-    // Find a gap for new silence
-    let start = 60; // Default to 1 minute
-    if (blocks.length > 0) {
-      const lastBlock = blocks[blocks.length - 1];
-      start = lastBlock.start + lastBlock.duration + 120;
-    }
-
-    if (start + 10 < duration) {
-      blocks.push({ start, duration: 10 });
-      renderSilenceBlocks();
-      renderTimelineLayer('silenceCanvas', 'silence');
-    }
+  /**
+   * Get the weight of a brush dab at a distance from its centre
+   * The core paints fully; smoothing widens the raised-cosine edge around it
+   * @param {number} distance - Distance from the centre (grid cells)
+   * @param {number} radius - Brush radius (grid cells)
+   * @param {number} smoothing - Fraction of the radius that is soft edge (0-1)
+   * @returns {number} Weight (0-1)
+   */
+  function getBrushWeight(distance, radius, smoothing) {
+    const core = radius * (1 - smoothing);
+    if (distance <= core) return 1;
+    if (distance >= radius) return 0;
+    return 0.5 + 0.5 * Math.cos(Math.PI * (distance - core) / (radius - core));
   }
 
-  function handleRemoveSilence(index) {
-    if (!workingProfile) return;
-    workingProfile.layers.silence.blocks.splice(index, 1);
-    renderSilenceBlocks();
-    renderTimelineLayer('silenceCanvas', 'silence');
+  /**
+   * Sample a density map onto the paint grid
+   * @param {Array} densityMap - Array of {time, value} points
+   * @returns {Array<number>} Values at DENSITY_GRID_POINTS evenly spaced times
+   */
+  function getDensityGrid(densityMap) {
+    return Array.from({ length: DENSITY_GRID_POINTS }, (_, i) =>
+      ProfileAutomation.interpolateCurve(densityMap, i / (DENSITY_GRID_POINTS - 1))
+    );
   }
 
-  function handleProModeToggle(e) {
+  /**
+   * Turn a painted grid back into a density map with as few points as it needs
+   * Points are dropped where the map stays within DENSITY_SIMPLIFY_TOLERANCE
+   * of a straight line (Ramer-Douglas-Peucker).
+   * @param {Array<number>} grid - Values at evenly spaced times
+   * @returns {Array} Array of {time, value} points
+   */
+  function toDensityMap(grid) {
+    const lastIndex = grid.length - 1;
+    const keep = new Set([0, lastIndex]);
+
+    const simplify = (start, end) => {
+      let farthest = -1;
+      let maxDistance = DENSITY_SIMPLIFY_TOLERANCE;
+
+      for (let i = start + 1; i < end; i++) {
+        const line = grid[start] + (grid[end] - grid[start]) * (i - start) / (end - start);
+        const distance = Math.abs(grid[i] - line);
+        if (distance > maxDistance) {
+          farthest = i;
+          maxDistance = distance;
+        }
+      }
+
+      if (farthest !== -1) {
+        keep.add(farthest);
+        simplify(start, farthest);
+        simplify(farthest, end);
+      }
+    };
+    simplify(0, lastIndex);
+
+    const points = [...keep].sort((a, b) => a - b).map(i => ({
+      time: Math.round(i / lastIndex * 10000) / 10000,
+      value: Math.round(grid[i] * 1000) / 1000
+    }));
+
+    // A flat map is a single point, like an unpainted profile
+    return points.every(point => point.value === points[0].value) ? [points[0]] : points;
+  }
+
+  function handleSpatialToggle(e) {
+    workingProfile.layers.spatial.enabled = e.target.checked;
+    updateOptionalLayerVisibility();
+    renderTimelineLayer('spatialCanvas', 'spatial');
+    AudioEngine.updateAutomation();
+  }
+
+  function handleSpatialModeChange(e) {
+    workingProfile.layers.spatial.mode = e.currentTarget.dataset.value;
+    updateSpatialModeControls();
+    updateOptionalLayerVisibility();
+    AudioEngine.updateAutomation();
+  }
+
+  function handleSpatialDistanceChange(e) {
+    workingProfile.layers.spatial.distance = parseFloat(e.target.value);
+    AudioEngine.updateAutomation();
+  }
+
+  /**
+   * Show the selected spatial mode; distance only applies in HRTF mode
+   */
+  function updateSpatialModeControls() {
+    const { mode } = workingProfile.layers.spatial;
+    document.querySelectorAll('[data-layer="spatial"] .segmented-button').forEach(btn => {
+      btn.setAttribute('aria-checked', btn.dataset.value === mode);
+    });
+    elements.spatialDistanceSlider.disabled = mode !== 'hrtf';
+  }
+
+  function handleBinauralToggle(e) {
+    workingProfile.layers.binaural.enabled = e.target.checked;
+    updateOptionalLayerVisibility();
+    renderTimelineLayer('binauralCanvas', 'binaural');
+
+    // Follow the change immediately if a session is running
+    if (AudioEngine.getIsPlaying()) {
+      AudioEngine.previewLayer('binaural');
+    }
+  }
+
+  function handleBinauralCarrierChange(e) {
+    const btn = e.currentTarget;
+
+    document.querySelectorAll('[data-layer="binaural"] .segmented-button').forEach(b => {
+      b.setAttribute('aria-checked', b === btn);
+    });
+
+    workingProfile.layers.binaural.carrier = BINAURAL_CARRIERS[btn.dataset.value];
+    if (workingProfile.layers.binaural.enabled) {
+      AudioEngine.previewLayer('binaural');
+    }
+  }
+
+  function handleBinauralMixChange(e) {
+    workingProfile.layers.binaural.mix = e.target.value / 100;
+    if (workingProfile.layers.binaural.enabled) {
+      AudioEngine.previewLayer('binaural');
+    }
+  }
+
+  function handleIsochronicToggle(e) {
+    workingProfile.layers.isochronic.enabled = e.target.checked;
+    updateOptionalLayerVisibility();
+    renderTimelineLayer('isochronicCanvas', 'isochronic');
+    AudioEngine.previewLayer('isochronic');
+  }
+
+  function handlePulseShapeChange(e) {
+    const chip = e.currentTarget;
+
+    elements.pulseShapeChips.querySelectorAll('.chip').forEach(c => {
+      const isSelected = c === chip;
+      c.classList.toggle('chip--selected', isSelected);
+      c.setAttribute('aria-checked', isSelected);
+    });
+
+    workingProfile.layers.isochronic.shape = chip.dataset.value;
+    AudioEngine.previewLayer('isochronic');
+  }
+
+  function handlePulseDutyChange(e) {
+    workingProfile.layers.isochronic.duty = e.target.value / 100;
+    AudioEngine.previewLayer('isochronic');
+  }
+
+  function handleAddToneVoice() {
+    const voices = workingProfile.layers.baseFrequency.voices;
+    if (voices.length >= DataModel.MAX_TONE_VOICES) return;
+
+    // Suggest the first interval not in use yet, starting from the octave above
+    const used = voices.map(voice => voice.ratio);
+    const suggestion = [2, 1.5, 3, 0.5, 4, 5, 1.25, 4 / 3].find(ratio => !used.includes(ratio)) || 1;
+
+    voices.push({ ratio: suggestion, level: 0.5, detune: 0 });
+    renderToneVoices();
+    previewToneVoices();
+  }
+
+  function handleToneVoiceInput(e) {
+    const row = e.target.closest('.tone-voice');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const voice = workingProfile.layers.baseFrequency.voices[row.dataset.index];
+    const value = parseFloat(e.target.value);
+
+    if (field === 'level') {
+      voice.level = value / 100;
+    } else if (field === 'detune') {
+      voice.detune = value;
+      row.querySelector('.slider-value').textContent = `${value}¢`;
+    } else {
+      voice.ratio = value;
+    }
+
+    previewToneVoices();
+  }
+
+  function handleToneVoiceRemove(e) {
+    const button = e.target.closest('.tone-voice__remove');
+    if (!button) return;
+
+    const voices = workingProfile.layers.baseFrequency.voices;
+    if (voices.length <= 1) return;
+
+    voices.splice(button.closest('.tone-voice').dataset.index, 1);
+    renderToneVoices();
+    previewToneVoices();
+  }
+
+  /**
+   * Let the user hear the voice stack at the current position
+   */
+  function previewToneVoices() {
+    const { progress } = AudioEngine.getProgress();
+    const value = ProfileAutomation.interpolateCurve(workingProfile.layers.baseFrequency.curve, progress);
+    AudioEngine.previewLayer('baseFrequency', value);
+  }
+
+  function handleEnvelopeChange(e) {
+    const slider = e.target;
+    workingProfile.envelope[slider.dataset.envelope] = parseFloat(slider.value);
+    updateEnvelopeValue(slider);
+    renderTimelineLayer('silenceCanvas', 'silence');
+    AudioEngine.updateAutomation();
+  }
+
+  function handleAddSilence() {
+    if (!workingProfile) return;
+
+    const duration = workingProfile.duration;
+    const blocks = workingProfile.layers.silence.blocks;
+
+    // Find a gap for new silence
+    let start = 60; // Default to 1 minute
+    if (blocks.length > 0) {
+      const lastBlock = blocks[blocks.length - 1];
+      start = lastBlock.start + lastBlock.duration + 120;
+    }
+
+    if (start + 10 < duration) {
+      blocks.push({ start, duration: 10 });
+      renderSilenceBlocks();
+      renderTimelineLayer('silenceCanvas', 'silence');
+      AudioEngine.updateAutomation();
+    }
+  }
+
+  function handleRemoveSilence(index) {
+    if (!workingProfile) return;
+    workingProfile.layers.silence.blocks.splice(index, 1);
+    renderSilenceBlocks();
+    renderTimelineLayer('silenceCanvas', 'silence');
+    AudioEngine.updateAutomation();
+  }
+
+  function handleProModeToggle(e) {
     const enabled = e.target.checked;
     AudioEngine.setProMode(enabled);
     DataModel.updateSetting('proModeEnabled', enabled);
   }
 
   function handleVolumeChange(e) {
-    const volume = e.target.value / 100;
+    const { volumeCeiling } = DataModel.getSettings();
+    const volume = Math.min(e.target.value / 100, volumeCeiling);
+    e.target.value = volume * 100;
     AudioEngine.setMasterVolume(volume);
+    saveMasterVolume(volume);
+  }
+
+  /**
+   * Save the master volume, and remember it for the output device playing now
+   * @param {number} volume - Volume (0-1)
+   */
+  function saveMasterVolume(volume) {
+    const { deviceVolumes } = DataModel.getSettings();
     DataModel.updateSetting('masterVolume', volume);
+    DataModel.updateSetting('deviceVolumes', {
+      ...deviceVolumes,
+      [AudioEngine.getOutputDeviceKey()]: volume
+    });
+  }
+
+  /**
+   * Switch to the volume last used on the output device playing now
+   * A device used for the first time keeps the current volume.
+   */
+  function applyDeviceVolume() {
+    const { deviceVolumes, masterVolume, volumeCeiling } = DataModel.getSettings();
+    const stored = deviceVolumes[AudioEngine.getOutputDeviceKey()];
+    const volume = Math.min(stored ?? masterVolume, volumeCeiling);
+
+    elements.masterVolumeSlider.value = volume * 100;
+    AudioEngine.setMasterVolume(volume);
+    saveMasterVolume(volume);
+  }
+
+  /**
+   * List the output devices in the settings select
+   */
+  async function renderOutputDevices() {
+    if (!AudioEngine.isOutputSelectionSupported()) return;
+
+    const devices = await AudioEngine.getOutputDevices();
+    const { outputDeviceId } = DataModel.getSettings();
+    const select = elements.outputDeviceSelect;
+
+    select.replaceChildren(new Option('システムの既定', ''));
+    devices.forEach((device, index) => {
+      select.add(new Option(device.label || `出力デバイス ${index + 1}`, device.deviceId));
+    });
+
+    // Keep a chosen device that is unplugged, so choosing it again is not needed
+    if (outputDeviceId && !devices.some(device => device.deviceId === outputDeviceId)) {
+      select.add(new Option('選択したデバイス（未接続）', outputDeviceId));
+    }
+
+    select.value = outputDeviceId;
+  }
+
+  async function handleOutputDeviceSelectChange(e) {
+    const deviceId = e.target.value;
+    DataModel.updateSetting('outputDeviceId', deviceId);
+    await AudioEngine.setOutputDevice(deviceId);
+    applyDeviceVolume();
+  }
+
+  /**
+   * Follow the output device audio plays to
+   * @param {CustomEvent} e - outputDeviceChange event
+   */
+  function handleOutputDeviceChange(e) {
+    const { reason, label } = e.detail;
+    applyDeviceVolume();
+
+    if (elements.settingsModal?.classList.contains('active')) {
+      renderOutputDevices();
+    }
+
+    // Only tell about changes heard during a session
+    const state = AudioEngine.getState();
+    const inSession = state === AudioEngine.SESSION_STATES.PLAYING || state === AudioEngine.SESSION_STATES.PAUSED;
+    if (reason === 'ready' || !inSession) return;
+
+    if (reason === 'lost') {
+      showSnackbar('出力デバイスが見つからないため、既定の出力に切り替えました');
+    } else if (reason === 'restored') {
+      showSnackbar(label ? `「${label}」での再生に戻しました` : '選択した出力デバイスでの再生に戻しました');
+    } else {
+      showSnackbar(label ? `出力が「${label}」に切り替わりました` : '出力デバイスが切り替わりました');
+    }
+  }
+
+  function handleVolumeCeilingChange(e) {
+    const ceiling = e.target.value / 100;
+    AudioEngine.setVolumeCeiling(ceiling);
+    DataModel.updateSetting('volumeCeiling', ceiling);
+
+    // Keep the master volume under the new ceiling
+    const { masterVolume } = DataModel.getSettings();
+    if (masterVolume > ceiling) {
+      elements.masterVolumeSlider.value = ceiling * 100;
+      AudioEngine.setMasterVolume(ceiling);
+      saveMasterVolume(ceiling);
+    }
+  }
+
+  function handleExposureProtectionChange(e) {
+    DataModel.updateSetting('exposureProtection', e.target.value);
+    handleExposureChange();
+  }
+
+  /**
+   * Show today's exposure and apply the hearing protection setting
+   */
+  function handleExposureChange() {
+    lastExposureCheck = Date.now();
+    const dose = AudioEngine.getDailyExposure();
+    updateExposureMeter(dose);
+
+    const { exposureProtection } = DataModel.getSettings();
+    const capped = exposureProtection === 'cap' && dose >= 1;
+    AudioEngine.setExposureCap(capped);
+
+    // Notices are only shown while listening, once a day each
+    if (!AudioEngine.getIsPlaying() || exposureProtection === 'off') return;
+
+    if (capped) {
+      showExposureNotice('cap', '今日の音量の目安に達したため、音量を下げました');
+    } else if (dose >= 1) {
+      showExposureNotice('over', '今日の音量の目安に達しました。音量を下げるか休憩しましょう');
+    } else if (dose >= ExposureTracker.WARNING_DOSE) {
+      showExposureNotice('warn', '今日の音量の目安の80%に達しました');
+    }
+  }
+
+  /**
+   * Show an exposure notice unless it was already shown today
+   * @param {string} kind - Notice kind
+   * @param {string} message - Snackbar message
+   */
+  function showExposureNotice(kind, message) {
+    const key = `${new Date().toDateString()}:${kind}`;
+    if (exposureNotices.has(key)) return;
+
+    exposureNotices.add(key);
+    showSnackbar(message);
+  }
+
+  /**
+   * Update the exposure meter in the settings
+   * @param {number} dose - Today's exposure dose (1 = the daily allowance)
+   */
+  function updateExposureMeter(dose) {
+    const percent = Math.round(dose * 100);
+    if (elements.exposureMeterBar) {
+      elements.exposureMeterBar.style.width = `${Math.min(100, percent)}%`;
+    }
+    if (elements.exposureMeterValue) {
+      elements.exposureMeterValue.textContent = `${percent}%`;
+    }
+    elements.exposureMeterTrack?.setAttribute('aria-valuenow', Math.min(100, percent));
+    elements.exposureMeter?.classList.toggle('exposure-meter--warning', dose >= ExposureTracker.WARNING_DOSE);
   }
 
   function handleNotificationToggle(e) {
@@ -1026,7 +2718,7 @@ const UIController = (function() {
   function handleClearData() {
     if (confirm('すべてのデータを削除しますか？この操作は取り消せません。')) {
       DataModel.clearAllData();
-      location.reload();
+      SampleStore.clearSamples().then(() => location.reload());
     }
   }
 
@@ -1051,12 +2743,121 @@ const UIController = (function() {
     }
   }
 
+  /**
+   * Render a saved profile offline and download it as a WAV file
+   * @param {string} id - Profile ID
+   */
+  async function handleExportProfile(id) {
+    const profile = DataModel.getProfile(id);
+    if (!profile || exportingProfileId) return;
+
+    if (!OfflineRenderer.canRender(profile)) {
+      showSnackbar(getExportLimitMessage());
+      return;
+    }
+
+    exportingProfileId = id;
+    renderProfiles();
+    updateRenderProgress(profile.name, 0);
+
+    try {
+      const wav = await OfflineRenderer.renderToWav(DataModel.createWorkingCopy(profile), {
+        onProgress: (progress) => updateRenderProgress(profile.name, progress)
+      });
+      downloadBlob(wav, `${getExportFileName(profile.name)}.wav`);
+      showSnackbar('WAVファイルを書き出しました');
+    } catch (e) {
+      console.error('Failed to export profile:', e);
+      showSnackbar('書き出しに失敗しました');
+    } finally {
+      exportingProfileId = null;
+      elements.renderProgress.hidden = true;
+      renderProfiles();
+    }
+  }
+
+  /**
+   * Get the attributes of a profile's export button
+   * A profile over the export limit keeps the button, which explains the limit.
+   * @param {Object} profile - Sound profile
+   * @returns {string} Attributes for the button element
+   */
+  function getExportButtonAttributes(profile) {
+    if (!OfflineRenderer.canRender(profile)) {
+      const message = getExportLimitMessage();
+      return `aria-label="${message}" title="${message}" aria-disabled="true"`;
+    }
+    return `aria-label="WAVで書き出し" ${exportingProfileId ? 'disabled' : ''}`;
+  }
+
+  function getExportLimitMessage() {
+    return `WAVで書き出せるのは${DataModel.formatDuration(OfflineRenderer.MAX_DURATION)}までです`;
+  }
+
+  /**
+   * Show the offline render progress in the profiles modal
+   * @param {string} name - Profile name
+   * @param {number} progress - Progress (0-1)
+   */
+  function updateRenderProgress(name, progress) {
+    const percent = Math.round(progress * 100);
+
+    elements.renderProgress.hidden = false;
+    elements.renderProgressLabel.textContent = `「${name}」を書き出し中… ${percent}%`;
+    elements.renderProgressBar.style.width = `${percent}%`;
+    elements.renderProgressTrack.setAttribute('aria-valuenow', percent);
+  }
+
+  /**
+   * Build a download-safe file name from a profile name
+   * @param {string} name - Profile name
+   * @returns {string} File name without extension
+   */
+  function getExportFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'focus-lab';
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} fileName - Suggested file name
+   */
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   function handleSaveProfile() {
     const name = elements.profileNameInput.value.trim() || '無題のプロファイル';
-    const duration = parseInt(elements.durationSelect.value);
+
+    // The playlist item or Pomodoro interval keeps playing as it is
+    if (workingProfile.sessionCopy) {
+      const { sessionCopy, ...profile } = DataModel.createWorkingCopy(workingProfile);
+      DataModel.createProfile({
+        ...profile,
+        name,
+        duration: getSaveDuration(),
+        ending: elements.endingSelect.value,
+        isPreset: false
+      });
+      renderProfiles();
+      closeSaveModal();
+      showSnackbar('新しいプロファイルとして保存しました');
+      return;
+    }
 
     workingProfile.name = name;
-    workingProfile.duration = duration;
+    workingProfile.duration = getSaveDuration();
+    workingProfile.ending = elements.endingSelect.value;
+    AudioEngine.updateAutomation();
 
     if (workingProfile.id && !workingProfile.isPreset) {
       // Update existing
@@ -1071,8 +2872,7 @@ const UIController = (function() {
       workingProfile = DataModel.createWorkingCopy(saved);
     }
 
-    elements.currentProfileName.textContent = name;
-    elements.timelineDuration.textContent = DataModel.formatDuration(duration);
+    showWorkingProfile();
     renderProfiles();
     closeSaveModal();
     showSnackbar('保存しました');
@@ -1096,9 +2896,15 @@ const UIController = (function() {
 
     closeNavDrawer();
 
-    // Handle view switching (profiles, history views could be added)
+    // Handle view switching
     if (view === 'profiles') {
       openProfilesModal();
+    } else if (view === 'playlists') {
+      openPlaylistsModal();
+    } else if (view === 'pomodoro') {
+      openPomodoroModal();
+    } else if (view === 'history') {
+      openHistoryModal();
     }
   }
 
@@ -1113,7 +2919,11 @@ const UIController = (function() {
     if (e.code === 'Escape') {
       closeNavDrawer();
       closeProfilesModal();
+      closePlaylistsModal();
+      closeHistoryModal();
+      closePomodoroModal();
       closeSaveModal();
+      closeCheckInModal();
       closeSettingsModal();
     }
   }
@@ -1143,9 +2953,719 @@ const UIController = (function() {
     elements.profilesModalScrim?.classList.remove('active');
   }
 
+  function openPlaylistsModal() {
+    showPlaylistBrowser();
+    elements.playlistsModal?.classList.add('active');
+    elements.playlistsModalScrim?.classList.add('active');
+  }
+
+  function closePlaylistsModal() {
+    elements.playlistsModal?.classList.remove('active');
+    elements.playlistsModalScrim?.classList.remove('active');
+    editingPlaylist = null;
+  }
+
+  // ========================================
+  // Playlists
+  // ========================================
+
+  /**
+   * Show the list of playlists
+   */
+  function showPlaylistBrowser() {
+    editingPlaylist = null;
+    elements.playlistBrowser.hidden = false;
+    elements.playlistEditor.hidden = true;
+    elements.playlistEditorActions.hidden = true;
+    renderPlaylists();
+  }
+
+  /**
+   * Render the list of playlists
+   */
+  function renderPlaylists() {
+    if (!elements.playlistList) return;
+
+    const playlists = DataModel.getAllPlaylists();
+    const playing = AudioEngine.getPlaylist();
+    elements.playlistList.innerHTML = '';
+    elements.playlistEmpty.hidden = playlists.length > 0;
+
+    playlists.forEach(playlist => {
+      const li = document.createElement('li');
+      li.className = `profile-item${playlist.id === playing?.id ? ' profile-item--active' : ''}`;
+      li.innerHTML = `
+        <div class="profile-item__info">
+          <span class="profile-item__name">${playlist.name}</span>
+          <span class="profile-item__duration">${playlist.items.length}件・${DataModel.formatDuration(DataModel.getPlaylistDuration(playlist))}</span>
+        </div>
+        <button class="profile-item__play" aria-label="再生">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+        </button>
+        <button class="profile-item__delete" aria-label="削除">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+          </svg>
+        </button>
+      `;
+
+      li.addEventListener('click', (e) => {
+        if (!e.target.closest('.profile-item__delete, .profile-item__play')) {
+          openPlaylistEditor(playlist);
+        }
+      });
+
+      li.querySelector('.profile-item__play').addEventListener('click', (e) => {
+        e.stopPropagation();
+        playPlaylist(playlist);
+      });
+
+      li.querySelector('.profile-item__delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleDeletePlaylist(playlist.id);
+      });
+
+      elements.playlistList.appendChild(li);
+    });
+  }
+
+  /**
+   * Open a playlist, or a new one, in the editor
+   * @param {Object|null} playlist - Playlist to edit, or null for a new one
+   */
+  function openPlaylistEditor(playlist) {
+    editingPlaylist = playlist
+      ? JSON.parse(JSON.stringify(playlist))
+      : { id: null, name: '', crossfade: 10, items: [] };
+
+    if (editingPlaylist.items.length === 0) {
+      editingPlaylist.items.push({ profileId: workingProfile?.id || DataModel.PRESET_PROFILES[0].id, duration: 1500 });
+    }
+
+    elements.playlistBrowser.hidden = true;
+    elements.playlistEditor.hidden = false;
+    elements.playlistEditorActions.hidden = false;
+    elements.playlistNameInput.value = editingPlaylist.name;
+    elements.playlistCrossfadeSlider.value = editingPlaylist.crossfade;
+    elements.playlistCrossfadeValue.textContent = `${editingPlaylist.crossfade}秒`;
+    renderPlaylistItems();
+  }
+
+  /**
+   * Render the items of the playlist being edited
+   */
+  function renderPlaylistItems() {
+    const profiles = DataModel.getAllProfiles();
+    const { items } = editingPlaylist;
+    elements.playlistItemList.innerHTML = '';
+
+    items.forEach((item, index) => {
+      const profileOptions = profiles.map(profile =>
+        `<option value="${profile.id}" ${profile.id === item.profileId ? 'selected' : ''}>${profile.name}</option>`
+      );
+      if (!profiles.some(profile => profile.id === item.profileId)) {
+        profileOptions.unshift(`<option value="${item.profileId}" selected>（削除されたプロファイル）</option>`);
+      }
+
+      const durations = DataModel.PLAYLIST_ITEM_DURATIONS.includes(item.duration)
+        ? DataModel.PLAYLIST_ITEM_DURATIONS
+        : [...DataModel.PLAYLIST_ITEM_DURATIONS, item.duration].sort((a, b) => a - b);
+      const durationOptions = durations.map(duration =>
+        `<option value="${duration}" ${duration === item.duration ? 'selected' : ''}>${DataModel.formatDuration(duration)}</option>`
+      );
+
+      const li = document.createElement('li');
+      li.className = 'playlist-item';
+      li.dataset.index = index;
+      li.innerHTML = `
+        <span class="playlist-item__number">${index + 1}</span>
+        <select class="playlist-item__select" data-field="profileId" aria-label="${index + 1}番目のプロファイル">
+          ${profileOptions.join('')}
+        </select>
+        <select class="playlist-item__select" data-field="duration" aria-label="${index + 1}番目の時間">
+          ${durationOptions.join('')}
+        </select>
+        <button class="playlist-item__button" data-action="up" aria-label="${index + 1}番目を上へ移動" ${index === 0 ? 'disabled' : ''}>
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
+            <path d="M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z"/>
+          </svg>
+        </button>
+        <button class="playlist-item__button" data-action="remove" aria-label="${index + 1}番目を削除" ${items.length === 1 ? 'disabled' : ''}>
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      `;
+
+      elements.playlistItemList.appendChild(li);
+    });
+
+    updatePlaylistTotal();
+  }
+
+  /**
+   * Show the running time of the playlist being edited
+   */
+  function updatePlaylistTotal() {
+    const duration = DataModel.getPlaylistDuration(editingPlaylist);
+    elements.playlistTotal.textContent = `合計 ${DataModel.formatDuration(duration)}`;
+  }
+
+  function handlePlaylistNameInput(e) {
+    editingPlaylist.name = e.target.value;
+  }
+
+  function handlePlaylistCrossfadeInput(e) {
+    editingPlaylist.crossfade = parseInt(e.target.value);
+    elements.playlistCrossfadeValue.textContent = `${editingPlaylist.crossfade}秒`;
+    updatePlaylistTotal();
+  }
+
+  function handlePlaylistItemInput(e) {
+    const row = e.target.closest('.playlist-item');
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const item = editingPlaylist.items[row.dataset.index];
+    item[field] = field === 'duration' ? parseInt(e.target.value) : e.target.value;
+    updatePlaylistTotal();
+  }
+
+  function handlePlaylistItemClick(e) {
+    const button = e.target.closest('.playlist-item__button');
+    if (!button) return;
+
+    const { items } = editingPlaylist;
+    const index = parseInt(button.closest('.playlist-item').dataset.index);
+
+    if (button.dataset.action === 'up' && index > 0) {
+      [items[index - 1], items[index]] = [items[index], items[index - 1]];
+    } else if (button.dataset.action === 'remove' && items.length > 1) {
+      items.splice(index, 1);
+    }
+
+    renderPlaylistItems();
+  }
+
+  function handleAddPlaylistItem() {
+    const { items } = editingPlaylist;
+    const last = items[items.length - 1];
+    items.push({
+      profileId: last?.profileId || DataModel.PRESET_PROFILES[0].id,
+      duration: last?.duration || 1500
+    });
+    renderPlaylistItems();
+  }
+
+  /**
+   * Save the playlist being edited
+   * @returns {Object} Saved playlist
+   */
+  function savePlaylist() {
+    const data = {
+      name: editingPlaylist.name.trim() || '無題のプレイリスト',
+      crossfade: editingPlaylist.crossfade,
+      items: editingPlaylist.items
+    };
+
+    const saved = editingPlaylist.id
+      ? DataModel.updatePlaylist(editingPlaylist.id, data)
+      : DataModel.createPlaylist(data);
+
+    editingPlaylist = JSON.parse(JSON.stringify(saved));
+    return saved;
+  }
+
+  function handleSavePlaylist() {
+    savePlaylist();
+    showPlaylistBrowser();
+    showSnackbar('保存しました');
+  }
+
+  function handlePlayEditedPlaylist() {
+    playPlaylist(savePlaylist());
+  }
+
+  /**
+   * Load a playlist into the engine and start it from the first item
+   * @param {Object} playlist - Playlist
+   */
+  function playPlaylist(playlist) {
+    const session = DataModel.createPlaylistSession(playlist);
+    if (!session) {
+      showSnackbar('再生できるプロファイルがありません');
+      return;
+    }
+
+    AudioEngine.loadPlaylist(session);
+    closePlaylistsModal();
+    AudioEngine.play();
+  }
+
+  function handleDeletePlaylist(id) {
+    if (confirm('このプレイリストを削除しますか？')) {
+      DataModel.deletePlaylist(id);
+      renderPlaylists();
+    }
+  }
+
+  // ========================================
+  // History
+  // ========================================
+
+  function openHistoryModal() {
+    renderHistoryFilters();
+    renderHistory();
+    elements.historyModal?.classList.add('active');
+    elements.historyModalScrim?.classList.add('active');
+  }
+
+  function closeHistoryModal() {
+    elements.historyModal?.classList.remove('active');
+    elements.historyModalScrim?.classList.remove('active');
+  }
+
+  /**
+   * Fill the profile and ending filters from what history holds
+   * A filter keeps its value while history still has entries for it.
+   */
+  function renderHistoryFilters() {
+    const history = DataModel.getHistory();
+    const profileNames = new Map();
+    const endings = new Set();
+
+    // History is newest first, so each profile is listed under its latest name
+    history.forEach(entry => {
+      if (entry.profileId && !profileNames.has(entry.profileId)) {
+        profileNames.set(entry.profileId, entry.profileName);
+      }
+      endings.add(getHistoryEnding(entry));
+    });
+
+    const profileId = elements.historyProfileFilter.value;
+    const ending = elements.historyEndingFilter.value;
+
+    fillSelect(elements.historyProfileFilter, [['', 'すべて'], ...profileNames], profileNames.has(profileId) ? profileId : '');
+    fillSelect(
+      elements.historyEndingFilter,
+      [['', 'すべて'], ...Object.keys(HISTORY_ENDING_LABELS).filter(key => endings.has(key)).map(key => [key, HISTORY_ENDING_LABELS[key]])],
+      endings.has(ending) ? ending : ''
+    );
+  }
+
+  /**
+   * Render the heatmap and the sessions that match the filters
+   * The heatmap leaves the date range out, it always shows the last weeks.
+   */
+  function renderHistory() {
+    const profileId = elements.historyProfileFilter.value;
+    const ending = elements.historyEndingFilter.value;
+    const from = elements.historyFromInput.value;
+    const to = elements.historyToInput.value;
+
+    const entries = DataModel.getHistory().filter(entry =>
+      (!profileId || entry.profileId === profileId) && (!ending || getHistoryEnding(entry) === ending)
+    );
+    const listed = entries.filter(entry => {
+      const day = DataModel.getDateKey(new Date(getHistoryStart(entry)));
+      return (!from || day >= from) && (!to || day <= to);
+    });
+
+    renderHistoryHeatmap(entries);
+    renderHistoryDays(listed);
+  }
+
+  /**
+   * Render the focus minutes of each day of the last weeks
+   * Breaks between Pomodoro work intervals are not focus time.
+   * @param {Array} entries - History entries
+   */
+  function renderHistoryHeatmap(entries) {
+    const minutes = {};
+    entries.forEach(entry => {
+      if (entry.intervalType && entry.intervalType !== 'work') return;
+      const day = DataModel.getDateKey(new Date(getHistoryStart(entry)));
+      minutes[day] = (minutes[day] || 0) + entry.duration / 60;
+    });
+
+    // Columns are weeks from Sunday, the last one ends today
+    const today = new Date();
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (HISTORY_HEATMAP_WEEKS - 1) * 7);
+    const cells = [];
+    let total = 0;
+
+    while (date <= today) {
+      const day = DataModel.getDateKey(date);
+      const value = Math.round(minutes[day] || 0);
+      const level = HISTORY_HEATMAP_LEVELS.filter(threshold => value >= threshold).length;
+
+      const cell = document.createElement('span');
+      cell.className = `history-heatmap__cell${level > 0 ? ` history-heatmap__cell--level-${level}` : ''}`;
+      cell.title = `${day}・${DataModel.formatDuration(value * 60)}`;
+      cells.push(cell);
+
+      total += value;
+      date.setDate(date.getDate() + 1);
+    }
+
+    elements.historyHeatmap.replaceChildren(...cells);
+    elements.historyHeatmapTotal.textContent = `過去${HISTORY_HEATMAP_WEEKS}週間で ${DataModel.formatDuration(total * 60)}`;
+  }
+
+  /**
+   * Render sessions grouped by the day they started, newest first
+   * @param {Array} entries - History entries
+   */
+  function renderHistoryDays(entries) {
+    const days = new Map();
+    [...entries]
+      .sort((a, b) => getHistoryStart(b) - getHistoryStart(a))
+      .forEach(entry => {
+        const day = DataModel.getDateKey(new Date(getHistoryStart(entry)));
+        if (!days.has(day)) days.set(day, []);
+        days.get(day).push(entry);
+      });
+
+    elements.historyDays.innerHTML = '';
+    elements.historyEmpty.hidden = entries.length > 0;
+
+    days.forEach(dayEntries => {
+      const section = document.createElement('section');
+      section.className = 'history-day';
+      const total = dayEntries.reduce((sum, entry) => sum + entry.duration, 0);
+      const date = new Date(getHistoryStart(dayEntries[0]));
+      section.innerHTML = `
+        <h3 class="history-day__header">
+          <span>${date.toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric', weekday: 'short' })}</span>
+          <span class="history-day__total">${DataModel.formatDuration(total)}</span>
+        </h3>
+        <ul class="profile-list"></ul>
+      `;
+
+      const list = section.querySelector('.profile-list');
+      dayEntries.forEach(entry => list.appendChild(createHistoryItem(entry)));
+      elements.historyDays.appendChild(section);
+    });
+  }
+
+  /**
+   * Create the list item of a history entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLLIElement} List item with play and delete buttons
+   */
+  function createHistoryItem(entry) {
+    const start = new Date(getHistoryStart(entry));
+    const time = start.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+
+    const details = [];
+    if (entry.playlistName) {
+      details.push(`プレイリスト：${entry.playlistName}`);
+    }
+    if (entry.intervalType) {
+      details.push(`ポモドーロ：${POMODORO_INTERVAL_LABELS[entry.intervalType]} ${entry.cycle}`);
+    }
+    if (entry.pauses?.length > 0) {
+      details.push(`一時停止 ${entry.pauses.length}回`);
+    }
+    if (entry.profileChanges?.length > 0) {
+      details.push(`→ ${entry.profileChanges.map(change => change.profileName).join(' → ')}`);
+    }
+
+    const checkIn = [];
+    if (Number.isFinite(entry.checkIn?.rating)) {
+      checkIn.push(`集中度 ${entry.checkIn.rating}`);
+    }
+    if (CHECK_IN_SOUND_LABELS[entry.checkIn?.sound]) {
+      checkIn.push(CHECK_IN_SOUND_LABELS[entry.checkIn.sound]);
+    }
+
+    const li = document.createElement('li');
+    li.className = 'profile-item history-item';
+    li.innerHTML = `
+      <div class="profile-item__info">
+        <span class="profile-item__name">${entry.profileName}</span>
+        <span class="profile-item__duration">
+          ${time}・${DataModel.formatDuration(entry.duration)}
+          <span class="history-item__ending">${HISTORY_ENDING_LABELS[getHistoryEnding(entry)]}</span>
+        </span>
+        ${details.length > 0 ? `<span class="history-item__detail">${details.join('・')}</span>` : ''}
+        ${checkIn.length > 0 ? `<span class="profile-item__check-in">${checkIn.join('・')}</span>` : ''}
+        ${entry.checkIn?.note ? '<span class="history-item__note"></span>' : ''}
+      </div>
+      ${entry.profileId ? `
+        <button class="profile-item__play" aria-label="このプロファイルで再生">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+        </button>
+      ` : ''}
+      <button class="profile-item__delete" aria-label="削除">
+        <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+          <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+        </svg>
+      </button>
+    `;
+
+    // The note is the user's own text
+    const note = li.querySelector('.history-item__note');
+    if (note) {
+      note.textContent = entry.checkIn.note;
+    }
+
+    // The silent Pomodoro break has no profile to play again
+    li.querySelector('.profile-item__play')?.addEventListener('click', () => replayHistoryEntry(entry));
+    li.querySelector('.profile-item__delete').addEventListener('click', () => handleDeleteHistoryEntry(entry));
+
+    return li;
+  }
+
+  /**
+   * Start a new session with the profile a past session played
+   * @param {Object} entry - History entry with a profile ID
+   */
+  function replayHistoryEntry(entry) {
+    if (!DataModel.getProfile(entry.profileId)) {
+      showSnackbar('このプロファイルは削除されています');
+      return;
+    }
+
+    AudioEngine.stop('replaced');
+    selectProfile(entry.profileId);
+    closeHistoryModal();
+    AudioEngine.play();
+  }
+
+  function handleDeleteHistoryEntry(entry) {
+    if (confirm('この履歴を削除しますか？')) {
+      DataModel.deleteHistoryEntry(entry);
+      renderHistoryFilters();
+      renderHistory();
+      renderProfiles();
+    }
+  }
+
+  /**
+   * Get how a history entry ended
+   * Entries recorded before endings were kept only tell whether they completed.
+   * @param {Object} entry - History entry
+   * @returns {string} Key of HISTORY_ENDING_LABELS
+   */
+  function getHistoryEnding(entry) {
+    return entry.ending || (entry.completed ? 'completed' : 'stopped');
+  }
+
+  /**
+   * Get when a history entry's session started
+   * @param {Object} entry - History entry
+   * @returns {number} Date.now() value (when it ended, for entries without a start)
+   */
+  function getHistoryStart(entry) {
+    return entry.startedAt ?? entry.timestamp;
+  }
+
+  // ========================================
+  // Pomodoro
+  // ========================================
+
+  function openPomodoroModal() {
+    renderPomodoroSetup();
+    elements.pomodoroModal?.classList.add('active');
+    elements.pomodoroModalScrim?.classList.add('active');
+  }
+
+  function closePomodoroModal() {
+    elements.pomodoroModal?.classList.remove('active');
+    elements.pomodoroModalScrim?.classList.remove('active');
+  }
+
+  /**
+   * Show the saved Pomodoro setup in the modal
+   */
+  function renderPomodoroSetup() {
+    const pomodoro = DataModel.getPomodoro();
+    const profiles = DataModel.getAllProfiles();
+    const profileOptions = profiles.map(profile => [profile.id, profile.name]);
+    const range = ({ min, max }) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    const durations = (list, value) => (list.includes(value) ? list : [...list, value].sort((a, b) => a - b))
+      .map(duration => [duration, DataModel.formatDuration(duration)]);
+
+    // Keep a profile that has been deleted visible, so the setup is not changed silently
+    const workOptions = profiles.some(profile => profile.id === pomodoro.workProfileId)
+      ? profileOptions
+      : [[pomodoro.workProfileId, '（削除されたプロファイル）'], ...profileOptions];
+
+    fillSelect(elements.pomodoroWorkProfileSelect, workOptions, pomodoro.workProfileId);
+    fillSelect(elements.pomodoroBreakProfileSelect, [['', '無音'], ...profileOptions], pomodoro.breakProfileId || '');
+    fillSelect(elements.pomodoroWorkDurationSelect, durations(DataModel.POMODORO_WORK_DURATIONS, pomodoro.workDuration), pomodoro.workDuration);
+    fillSelect(elements.pomodoroShortBreakSelect, durations(DataModel.POMODORO_BREAK_DURATIONS, pomodoro.shortBreakDuration), pomodoro.shortBreakDuration);
+    fillSelect(elements.pomodoroLongBreakSelect, durations(DataModel.POMODORO_BREAK_DURATIONS, pomodoro.longBreakDuration), pomodoro.longBreakDuration);
+    fillSelect(elements.pomodoroCyclesSelect, range(DataModel.POMODORO_CYCLES_RANGE).map(n => [n, `${n}回`]), pomodoro.cycles);
+    fillSelect(elements.pomodoroLongBreakEverySelect, range(DataModel.POMODORO_LONG_BREAK_RANGE).map(n => [n, `${n}サイクルごと`]), pomodoro.longBreakEvery);
+    elements.pomodoroAutoAdvanceToggle.checked = pomodoro.autoAdvance;
+
+    updatePomodoroTotal(pomodoro);
+  }
+
+  /**
+   * Replace the options of a select
+   * @param {HTMLSelectElement} select - Select element
+   * @param {Array} options - [value, label] pairs
+   * @param {*} value - Value to select
+   */
+  function fillSelect(select, options, value) {
+    select.replaceChildren(...options.map(([optionValue, label]) => new Option(label, optionValue)));
+    select.value = value;
+  }
+
+  /**
+   * Show the running time of a Pomodoro setup
+   * @param {Object} pomodoro - Pomodoro setup
+   */
+  function updatePomodoroTotal(pomodoro) {
+    elements.pomodoroTotal.textContent = `合計 ${DataModel.formatDuration(DataModel.getPomodoroDuration(pomodoro))}`;
+  }
+
+  /**
+   * Save a changed field of the Pomodoro setup
+   */
+  function handlePomodoroSetupChange(e) {
+    const field = e.target.dataset.field;
+    if (!field) return;
+
+    let value;
+    if (field === 'autoAdvance') {
+      value = e.target.checked;
+    } else if (field === 'workProfileId' || field === 'breakProfileId') {
+      value = e.target.value || null;
+    } else {
+      value = parseInt(e.target.value);
+    }
+
+    const pomodoro = { ...DataModel.getPomodoro(), [field]: value };
+    DataModel.savePomodoro(pomodoro);
+    updatePomodoroTotal(pomodoro);
+  }
+
+  function handleStartPomodoro() {
+    const session = DataModel.createPomodoroSession(DataModel.getPomodoro());
+    if (!session) {
+      showSnackbar('作業のプロファイルが見つかりません');
+      return;
+    }
+
+    closePomodoroModal();
+    PomodoroScheduler.start(session);
+  }
+
+  /**
+   * Show the Pomodoro interval the scheduler has moved to
+   */
+  function handlePomodoroChange(event) {
+    const { status } = event.detail;
+    updatePomodoroStatus(status);
+
+    // The scheduler loads each interval's profile into the engine
+    const profile = AudioEngine.getCurrentProfile();
+    if (status && profile && profile !== workingProfile) {
+      workingProfile = profile;
+      updatePlaylistLabel(null);
+      showWorkingProfile();
+    }
+  }
+
+  /**
+   * Show the Pomodoro interval and cycle under the profile name
+   * @param {Object|null} status - Status from PomodoroScheduler.getStatus()
+   */
+  function updatePomodoroStatus(status) {
+    elements.pomodoroStatus.hidden = !status;
+    if (!status) return;
+
+    const interval = `${POMODORO_INTERVAL_LABELS[status.type]}・${status.cycle}/${status.cycles}`;
+    elements.pomodoroStatusLabel.textContent = status.waiting ? `次：${interval}` : interval;
+    elements.pomodoroNextBtn.hidden = !status.waiting;
+  }
+
+  /**
+   * Move on from a finished Pomodoro interval and tell what comes next
+   */
+  function handlePomodoroIntervalComplete() {
+    const { interval, next } = PomodoroScheduler.completeInterval();
+
+    let message;
+    if (!next) {
+      message = `ポモドーロが完了しました（${interval.cycle}サイクル）`;
+    } else if (interval.type === 'work') {
+      message = `作業 ${interval.cycle} が完了しました。${next.type === 'longBreak' ? '長めの休憩をとりましょう' : '休憩しましょう'}`;
+    } else {
+      message = `休憩が終わりました。作業 ${next.cycle} を始めましょう`;
+    }
+    if (next && PomodoroScheduler.isWaiting()) {
+      message += '（「次へ」で開始）';
+    }
+
+    showSnackbar(message);
+    showNotification(message);
+
+    // Breaks are not rated
+    if (interval.type === 'work') {
+      openCheckInModal();
+    }
+  }
+
+  /**
+   * Get the duration chosen in the save modal
+   * A custom length is kept within DataModel.PROFILE_DURATION_RANGE
+   * @returns {number} Duration in seconds
+   */
+  function getSaveDuration() {
+    if (elements.durationSelect.value !== 'custom') {
+      return parseInt(elements.durationSelect.value);
+    }
+
+    const minutes = parseFloat(elements.customDurationInput.value);
+    if (!Number.isFinite(minutes)) return workingProfile.duration;
+
+    const { min, max } = DataModel.PROFILE_DURATION_RANGE;
+    return Math.max(min, Math.min(max, Math.round(minutes) * 60));
+  }
+
+  function updateCustomDurationField() {
+    elements.customDurationField.hidden = elements.durationSelect.value !== 'custom';
+  }
+
+  /**
+   * Describe a profile's length, and for an open-ended profile what happens after it
+   * @param {Object} profile - Sound profile
+   * @returns {string} Label such as '25分' or '25分・ループ'
+   */
+  function getDurationLabel(profile) {
+    const duration = DataModel.formatDuration(profile.duration);
+    return ENDING_LABELS[profile.ending] ? `${duration}・${ENDING_LABELS[profile.ending]}` : duration;
+  }
+
+  /**
+   * Open the save modal for the working profile
+   * A playlist item or Pomodoro interval plays a session copy, which is saved as a
+   * new profile; the silent Pomodoro break has nothing to save.
+   */
   function openSaveModal() {
+    if (workingProfile?.sessionCopy && !workingProfile.id) {
+      showSnackbar('無音の休憩は保存できません');
+      return;
+    }
+
+    elements.saveModalTitle.textContent = workingProfile?.sessionCopy ? '新しいプロファイルとして保存' : 'プロファイルを保存';
+    const duration = workingProfile?.duration || 1500;
+    const preset = [...elements.durationSelect.options].some(option => option.value === String(duration));
+
     elements.profileNameInput.value = workingProfile?.name || '';
-    elements.durationSelect.value = workingProfile?.duration || 1500;
+    elements.durationSelect.value = preset ? duration : 'custom';
+    elements.customDurationInput.value = Math.round(duration / 60);
+    elements.endingSelect.value = workingProfile?.ending || 'stop';
+    updateCustomDurationField();
     elements.saveModal?.classList.add('active');
     elements.saveModalScrim?.classList.add('active');
     elements.profileNameInput?.focus();
@@ -1156,7 +3676,84 @@ const UIController = (function() {
     elements.saveModalScrim?.classList.remove('active');
   }
 
+  /**
+   * Ask how the session that has just ended went
+   * A playlist is rated as a whole, and the check-in is stored on the entry of
+   * every item played, so each profile's summary includes it.
+   * Nothing is asked when check-ins are turned off in the settings.
+   */
+  function openCheckInModal() {
+    const entry = SessionTracker.getLastEntry();
+    if (!entry?.id || !DataModel.getSettings().checkInEnabled) return;
+
+    const entries = entry.playlistRunId
+      ? DataModel.getHistory().filter(e => e.playlistRunId === entry.playlistRunId)
+      : [entry];
+    const duration = entries.reduce((sum, e) => sum + e.duration, 0);
+
+    checkInEntryIds = entries.map(e => e.id);
+    elements.checkInProfileName.textContent = `${entry.playlistRunId ? entry.playlistName : entry.profileName}・${DataModel.formatDuration(duration)}`;
+    [elements.checkInRating, elements.checkInSound].forEach(group => {
+      group.querySelectorAll('.segmented-button').forEach(btn => btn.setAttribute('aria-checked', false));
+    });
+    elements.checkInNoteInput.value = '';
+
+    elements.checkInModal?.classList.add('active');
+    elements.checkInModalScrim?.classList.add('active');
+  }
+
+  function closeCheckInModal() {
+    checkInEntryIds = [];
+    elements.checkInModal?.classList.remove('active');
+    elements.checkInModalScrim?.classList.remove('active');
+  }
+
+  function handleCheckInOptionClick(e) {
+    const btn = e.currentTarget;
+    btn.closest('.segmented-button-group').querySelectorAll('.segmented-button').forEach(b => {
+      b.setAttribute('aria-checked', b === btn);
+    });
+  }
+
+  /**
+   * Store the check-in on the session's history entries
+   * Every answer is optional; an empty check-in is not stored.
+   */
+  function handleSaveCheckIn() {
+    const rating = elements.checkInRating.querySelector('[aria-checked="true"]')?.dataset.value;
+    const sound = elements.checkInSound.querySelector('[aria-checked="true"]')?.dataset.value ?? null;
+    const note = elements.checkInNoteInput.value.trim();
+
+    if ((rating || sound || note) && checkInEntryIds.length > 0) {
+      const checkIn = { rating: rating ? parseInt(rating) : null, sound, note };
+      checkInEntryIds.forEach(id => DataModel.updateHistoryEntry(id, { checkIn }));
+      renderProfiles();
+      showSnackbar('振り返りを保存しました');
+    }
+
+    closeCheckInModal();
+  }
+
+  /**
+   * Describe a profile's check-ins in its list item
+   * @param {Object} summary - Summary from DataModel.getCheckInSummaries()
+   * @returns {string} Label such as '集中度 4.2・音が助けに 3/5'
+   */
+  function getCheckInLabel(summary) {
+    const parts = [];
+    if (summary.rating !== null) {
+      parts.push(`集中度 ${summary.rating.toFixed(1)}`);
+    }
+    const soundAnswers = summary.helped + summary.neutral + summary.distracted;
+    if (soundAnswers > 0) {
+      parts.push(`音が助けに ${summary.helped}/${soundAnswers}`);
+    }
+    return parts.join('・') || `振り返り ${summary.count}件`;
+  }
+
   function openSettingsModal() {
+    updateExposureMeter(AudioEngine.getDailyExposure());
+    renderOutputDevices();
     elements.settingsModal?.classList.add('active');
     elements.settingsModalScrim?.classList.add('active');
   }
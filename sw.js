@@ -1,7 +1,7 @@
 // Service Worker for Google Focus Lab
 // Provides offline caching and PWA functionality
 
-const CACHE_NAME = 'focus-lab-v1';
+const CACHE_NAME = 'focus-lab-v7';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
@@ -10,6 +10,14 @@ const ASSETS_TO_CACHE = [
   '/js/app.js',
   '/js/audio-engine.js',
   '/js/data-model.js',
+  '/js/exposure-tracker.js',
+  '/js/offline-renderer.js',
+  '/js/pomodoro-scheduler.js',
+  '/js/session-tracker.js',
+  '/js/profile-automation.js',
+  '/js/profile-voice.js',
+  '/js/sample-store.js',
+  '/js/session-visualizer.js',
   '/js/ui-controller.js',
   '/manifest.json',
   '/icons/icon-72.svg',